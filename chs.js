@@ -47,6 +47,39 @@ var cnItems = {
     "Yes": "是",
     "Are you sure?": "你确定吗？",
     "Edit Name": "编辑名称",
+    "+ New Save": "+ 新存档",
+    "Game Mode": "游戏模式",
+    "Change Mode": "更换模式",
+    "Choose Game Mode": "选择游戏模式",
+    "Next Run: ": "下一局：",
+    "Active Modifiers": "当前加成",
+    "Paladin": "圣骑士",
+    "Paladin ⚜️": "圣骑士 ⚜️",
+    "Tanky Holy Support": "坚韧神圣辅助",
+    "+15% HP, +25% DEF": "+15% 生命值, +25% 防御",
+    "Skill: Holy Strike": "技能: 神圣打击",
+    "Holy Strike": "神圣打击",
+    "Consecration": "奉献",
+    "Divine Shield": "圣盾术",
+    "Devotion Aura": "虔诚光环",
+    "Righteous Bulwark": "正义壁垒",
+    "Martyr's Resolve": "殉道者的决心",
+    "Perks": "天赋",
+    "Prestige Tokens: +": "声望代币：+",
+    "Spend Prestige Tokens on perks that last until you ascend.": "花费声望代币购买持续到飞升前的天赋。",
+    "Head Start": "先发制人",
+    "Deep Pockets": "深口袋",
+    "Auto-Sell Filters": "自动出售筛选",
+    "Reliquary": "圣物匣",
+    "Not enough Prestige Tokens!": "声望代币不足！",
+    "No prestige perks bought yet": "尚未购买声望天赋",
+    "Earthshatter": "裂地",
+    "Meteor Storm": "流星风暴",
+    "Death Mark": "死亡印记",
+    "Divine Intervention": "神圣干预",
+    " Ultimate": " 终极技能",
+    "Speedrun Complete!": "速通完成！",
+    "Export Splits": "导出分段",
     "Info": "信息",
     "Currently:": "当前:",
     "Appearance": "外观",
@@ -80,6 +113,7 @@ var cnItems = {
     "Soul Shop": "灵魂商店",
     "Soul Points": "灵魂点数",
     "Soul Points Earned:": "赚取的灵魂点数:",
+    "Slain By:": "击杀者:",
     "Souls on Prestige:": "声望获得灵魂:",
     "Sound FX": "音效",
     "Sound Effects": "声音效果",
@@ -87,6 +121,8 @@ var cnItems = {
     "Skill Tree": "技能树",
     "Shop": "商店",
     "Show Combat Log": "显示战斗日志",
+    "Combat": "战斗",
+    "Auto-Dodge Attacks": "自动闪避攻击",
     "Save Data": "保存数据",
     "PRESTIGE": "声望",
     "Prestige": "声望",
@@ -220,6 +256,10 @@ var cnItems = {
     "MINI-BOSS": "迷你BOSS",
     "Lightning": "雷电",
     "Legendaries": "传说",
+    "Mythics": "神话",
+    "Crafting": "制作",
+    "Craft": "制作",
+    "No materials yet. Monsters drop them as you descend.": "还没有材料。深入地牢时怪物会掉落材料。",
     "Legend of the Dungeon": "地牢传说",
     "Heal": "治疗",
     "Highest Hit": "最高命中",
@@ -369,6 +409,13 @@ var cnItems = {
     "Wolf pet 50% off at Floor 10": "狼宠物在10层打5折",
     "Naked Run": "裸奔",
     " raises the dead!": " 让死人复活！",
+    " splits apart!": " 分裂了!",
+    " sounds the war horn!": " 吹响了战争号角!",
+    " calls its brood!": " 召唤了它的子嗣!",
+    " wraps itself in bone armor!": " 披上了骨甲!",
+    " vanishes into the shadows!": " 消失在阴影中!",
+    " regenerates!": " 正在再生!",
+    "You are caught in a web!": "你被蛛网困住了!",
     "Next: Novice (1.0K SP)": "下一个：新手（1.0K 灵魂点数）",
     "Night": "晚上",
     "Pacifist": "和平主义者",
@@ -1304,7 +1351,14 @@ var cnRegReplace = new Map([
     [/^ \(legendary\)\nHP (.+)\n$/, ' (传说)\n生命值 $1\n'],
     [/^ pet (.+) off at Floor (.+)$/, ' 宠物在 $2 层打折 $1'],
     [/^ hits you for (.+)!$/, ' 攻击了你并造成 $1 伤害!'],
+    [/^ blasts you for (.+)!$/, ' 远程轰击你并造成 $1 伤害!'],
+    [/^ turns tail and flees!$/, ' 转身逃跑了!'],
+    [/^ springs from hiding!$/, ' 从藏身处扑了出来!'],
+    [/^ enters phase (.+)!$/, ' 进入第 $1 阶段!'],
+    [/^ readies (.+)!$/, ' 准备施放 $1!'],
+    [/^You avoid (.+).$/, '你躲开了 $1。'],
     [/^Backstab! Critical hit for (.+)!$/, '背刺！暴击造成 $1 伤害!'],
+    [/^Death Mark! Critical hit for (.+)!$/, '死亡印记！暴击造成 $1 伤害!'],
     [/^ defeated! \+(.+) XP$/, ' 已击败! +$1 经验值'],
     [/^ shadow strikes for (.+)!$/, ' 暗影突袭 造成 $1 伤害!'],
     [/^You dodged (.+)\'s attack!$/, '你躲过了 $1 的攻击!'],
@@ -15,6 +15,7 @@ const CONFIG = {
     MAX_GRID_SIZE: 50,
     BASE_TILE_SIZE: 14,
     GRID_GROWTH_RATE: 0.25,     // tiles per floor
+    BOSS_ARENA_SIZE: 12,        // Boss Rush arena width and height
 
     // Combat
     PLAYER_MOVE_DELAY: 0.75,    // seconds between moves
@@ -63,6 +64,11 @@ const CONFIG = {
     SPRITE_BASE_PATH: 'assets/dcss'  // Actual asset location
 };
 
+// === HEADLESS MODE ===
+// True when game.js is loaded outside a browser (tools/simulate.js). The simulation
+// core still runs; rendering, audio, saving and DOM updates become no-ops.
+const HEADLESS = typeof document === 'undefined';
+
 // === UTILITY FUNCTIONS ===
 
 /**
@@ -103,7 +109,7 @@ function lerp(a, b, t) {
  * @returns {*} Random element
  */
 function randomElement(arr) {
-    return arr[Math.floor(Math.random() * arr.length)];
+    return arr[Math.floor(gameRandom() * arr.length)];
 }
 
 /**
@@ -113,7 +119,7 @@ function randomElement(arr) {
  * @returns {number} Random integer
  */
 function randomInt(min, max) {
-    return Math.floor(Math.random() * (max - min + 1)) + min;
+    return Math.floor(gameRandom() * (max - min + 1)) + min;
 }
 
 /**
@@ -122,7 +128,93 @@ function randomInt(min, max) {
  * @returns {boolean} True if roll succeeds
  */
 function rollChance(chance) {
-    return Math.random() < chance;
+    return gameRandom() < chance;
+}
+
+// === SEEDED RANDOMNESS ===
+// Gameplay rolls (layout, spawns, loot, combat) draw from one seedable stream so a
+// seed reproduces a run. Cosmetic rolls (particles, audio, UI jitter) use their own
+// stream and never advance the gameplay one.
+
+/**
+ * Creates a seeded pseudo-random generator (mulberry32)
+ * @param {number} seed - 32-bit integer seed
+ * @returns {function(): number} Generator returning floats in [0, 1)
+ */
+function createRng(seed) {
+    let state = seed >>> 0;
+    return function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Hashes a string into a 32-bit seed (FNV-1a)
+ * @param {string} str - Text to hash
+ * @returns {number} Unsigned 32-bit seed
+ */
+function hashSeed(str) {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+const RNG = {
+    gameplay: createRng(Date.now()),
+    visual: createRng(Date.now() ^ 0x9E3779B9)
+};
+
+/**
+ * Returns the next roll from the gameplay stream
+ * @returns {number} Float in [0, 1)
+ */
+function gameRandom() {
+    return RNG.gameplay();
+}
+
+/**
+ * Returns the next roll from the cosmetic stream
+ * @returns {number} Float in [0, 1)
+ */
+function visualRandom() {
+    return RNG.visual();
+}
+
+/**
+ * Builds the shared daily seed from the UTC calendar date
+ * @param {Date} [date] - Day to seed (defaults to today)
+ * @returns {number} Unsigned 32-bit seed
+ */
+function getDailySeed(date = new Date()) {
+    return hashSeed(`daily-${date.toISOString().slice(0, 10)}`);
+}
+
+/**
+ * Picks the seed for a new run: the daily seed for seeded modes, otherwise fresh entropy
+ * @returns {number} Unsigned 32-bit seed
+ */
+function createRunSeed() {
+    const mode = GAME_MODES[gameState.currentGameMode];
+    if (mode?.modifiers?.seeded) return getDailySeed();
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+/**
+ * Reseeds the gameplay stream for one stage of the current floor, so a floor's
+ * layout and spawns depend only on the run seed and not on earlier rolls
+ * @param {string} stage - Generation stage (e.g. 'dungeon', 'monsters')
+ */
+function seedFloorRng(stage) {
+    const run = gameState.run;
+    if (!run || run.seed === undefined) return;
+    RNG.gameplay = createRng(hashSeed(`${run.seed}:${run.floor}:${stage}`));
 }
 
 // === PROCEDURAL CHARACTER GRAPHICS ===
@@ -134,7 +226,7 @@ function rollChance(chance) {
  * @param {number} x - Center X position
  * @param {number} y - Center Y position
  * @param {number} size - Character size
- * @param {string} playerClass - Class name (warrior, mage, rogue)
+ * @param {string} playerClass - Class name (warrior, mage, rogue, paladin)
  * @param {string} color - Primary color
  * @param {number} time - Animation time
  */
@@ -357,6 +449,77 @@ function drawProceduralPlayer(ctx, x, y, size, playerClass, color, time) {
         ctx.fillStyle = '#654321';
         ctx.fillRect(-s * 0.03, s * 0.25, s * 0.11, s * 0.08);
         ctx.restore();
+
+    } else if (playerClass === 'paladin') {
+        // Halo glow
+        const haloGlow = 0.25 + Math.sin(time * 3) * 0.1;
+        ctx.fillStyle = `rgba(255, 230, 120, ${haloGlow})`;
+        ctx.beginPath();
+        ctx.arc(0, -s * 0.1, s * 0.75, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Legs (greaves)
+        ctx.fillStyle = '#999';
+        ctx.fillRect(-s * 0.25, s * 0.2, s * 0.2, s * 0.5);
+        ctx.fillRect(s * 0.05, s * 0.2, s * 0.2, s * 0.5);
+
+        // Tabard over plate
+        ctx.fillStyle = '#DDD';
+        ctx.beginPath();
+        ctx.moveTo(-s * 0.4, -s * 0.1);
+        ctx.lineTo(s * 0.4, -s * 0.1);
+        ctx.lineTo(s * 0.35, s * 0.35);
+        ctx.lineTo(-s * 0.35, s * 0.35);
+        ctx.closePath();
+        ctx.fill();
+        ctx.fillStyle = color;
+        ctx.fillRect(-s * 0.05, -s * 0.1, s * 0.1, s * 0.45);
+        ctx.fillRect(-s * 0.2, s * 0.02, s * 0.4, s * 0.08);
+
+        // Head
+        ctx.fillStyle = skinColor;
+        ctx.beginPath();
+        ctx.arc(0, -s * 0.35, s * 0.25, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Great helm with visor slit
+        ctx.fillStyle = '#CCC';
+        ctx.beginPath();
+        ctx.arc(0, -s * 0.38, s * 0.27, Math.PI, 0);
+        ctx.fill();
+        ctx.fillRect(-s * 0.27, -s * 0.38, s * 0.54, s * 0.18);
+        ctx.fillStyle = '#222';
+        ctx.fillRect(-s * 0.18, -s * 0.34, s * 0.36, s * 0.05);
+        ctx.fillStyle = lightColor;
+        ctx.fillRect(-s * 0.28, -s * 0.42, s * 0.56, s * 0.05);
+
+        // Plume
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        ctx.ellipse(0, -s * 0.7, s * 0.06, s * 0.12, 0, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Warhammer
+        ctx.fillStyle = '#654321';
+        ctx.fillRect(s * 0.42, -s * 0.45, s * 0.06, s * 0.75);
+        ctx.fillStyle = '#BBB';
+        ctx.fillRect(s * 0.32, -s * 0.55, s * 0.26, s * 0.14);
+        ctx.fillStyle = '#FFD700';
+        ctx.fillRect(s * 0.42, -s * 0.55, s * 0.06, s * 0.14);
+
+        // Kite shield with cross
+        ctx.fillStyle = '#EEE';
+        ctx.beginPath();
+        ctx.moveTo(-s * 0.58, -s * 0.22);
+        ctx.lineTo(-s * 0.26, -s * 0.22);
+        ctx.lineTo(-s * 0.26, s * 0.15);
+        ctx.lineTo(-s * 0.42, s * 0.35);
+        ctx.lineTo(-s * 0.58, s * 0.15);
+        ctx.closePath();
+        ctx.fill();
+        ctx.fillStyle = darkColor;
+        ctx.fillRect(-s * 0.45, -s * 0.18, s * 0.06, s * 0.4);
+        ctx.fillRect(-s * 0.54, -s * 0.06, s * 0.24, s * 0.06);
     }
 
     ctx.restore();
@@ -1070,6 +1233,14 @@ const CLASSES = {
         attackType: 'ranged',
         projectileColor: '#27ae60',
         projectileParticle: 'trail'
+    },
+    paladin: {
+        name: 'Paladin', hpMult: 1.15, atkMult: 0.95, defMult: 1.25, spdMult: 0.9, evaMult: 0.9, critMult: 1.0,
+        color: '#d4ac0d', skill: 'holyStrike', icon: '⚜️',
+        unlock: 'new_class_paladin', // Ascension tier 3
+        attackRange: 1, // Melee range
+        multiTarget: false,
+        attackType: 'melee'
     }
 };
 
@@ -1117,7 +1288,29 @@ const SKILLS = {
     shadowstep: { name: 'Shadow Step', cooldown: 6, effect: 'teleport', value: 10, unlocked: false, class: 'rogue', icon: '👤', desc: 'Teleport behind enemy', levelReq: 3 },
     backstab: { name: 'Backstab', cooldown: 10, effect: 'crit', value: 3.0, unlocked: false, class: 'rogue', icon: '🗡️', desc: 'Guaranteed critical hit for 300% damage', levelReq: 6 },
     poisonBlade: { name: 'Poison Blade', cooldown: 14, effect: 'projectile', value: 1.0, status: 'poison', unlocked: false, class: 'rogue', icon: '🧪', desc: 'Attack that applies deadly poison', levelReq: 10 },
-    smokeBomb: { name: 'Smoke Bomb', cooldown: 20, effect: 'buff', stat: 'evasion', value: 50, duration: 6, unlocked: false, class: 'rogue', icon: '💨', desc: '+50% Evasion for 6 seconds', levelReq: 15 }
+    smokeBomb: { name: 'Smoke Bomb', cooldown: 20, effect: 'buff', stat: 'evasion', value: 50, duration: 6, unlocked: false, class: 'rogue', icon: '💨', desc: '+50% Evasion for 6 seconds', levelReq: 15 },
+
+    // Paladin Skills
+    holyStrike: { name: 'Holy Strike', cooldown: 8, effect: 'smite', value: 1.8, heal: 0.5, unlocked: false, class: 'paladin', icon: '✨', desc: 'Deal 180% damage and heal for half of it', levelReq: 3 },
+    consecration: { name: 'Consecration', cooldown: 18, effect: 'aura', value: 0.4, heal: 0.02, radius: 2, duration: 8, unlocked: false, class: 'paladin', icon: '🔆', desc: 'Holy ground: 40% ATK to nearby enemies and 2% HP healed every second for 8s', levelReq: 6 },
+    divineShield: { name: 'Divine Shield', cooldown: 30, effect: 'shield', value: 0.4, duration: 10, unlocked: false, class: 'paladin', icon: '🔰', desc: 'Absorb 40% max HP in damage', levelReq: 10 },
+    devotionAura: { name: 'Devotion Aura', cooldown: 25, effect: 'buff', stat: 'defense', value: 0.4, duration: 12, unlocked: false, class: 'paladin', icon: '👼', desc: '+40% Defense for 12 seconds', levelReq: 15 }
+};
+
+// Ultimate skills (Grandmaster ascension): one per class, charged by kills, combos and
+// damage dealt instead of a cooldown. They reuse the regular skill effects at a larger scale.
+const ULTIMATE_SKILLS = {
+    warrior: { name: 'Earthshatter', effect: 'stun', radius: 5, damage: 4, icon: '🌋', desc: 'Stun every enemy within 5 tiles and deal 400% damage' },
+    mage: { name: 'Meteor Storm', effect: 'aoe', value: 5, radius: 8, status: 'burn', icon: '☄️', desc: 'Deal 500% damage to every enemy within 8 tiles and burn them' },
+    rogue: { name: 'Death Mark', effect: 'crit', value: 10, icon: '💀', desc: 'Guaranteed critical hit for 1000% damage' },
+    paladin: { name: 'Divine Intervention', effect: 'shield', value: 1.0, duration: 15, icon: '🕊️', desc: 'Absorb 100% max HP in damage for 15 seconds' }
+};
+
+const ULTIMATE_CONFIG = {
+    maxCharge: 100,
+    killCharge: 2,          // per kill, plus the current combo count
+    comboChargeCap: 10,     // combo count counted towards a kill at most
+    damageCharge: 0.5       // per hit worth the player's ATK
 };
 
 // Helper to check if a skill is available
@@ -1144,42 +1337,124 @@ const STATUS_EFFECTS = {
 // Monster Types with emoji icons
 const MONSTER_TYPES = [
     { name: 'Slime', color: '#5a8a5a', hpMult: 1, atkMult: 1, defMult: 0.8, icon: '🟢', shape: 'blob' },
-    { name: 'Goblin', color: '#8a8a5a', hpMult: 0.9, atkMult: 1.2, defMult: 0.9, icon: '👺', shape: 'humanoid' },
+    { name: 'Goblin', color: '#8a8a5a', hpMult: 0.9, atkMult: 1.2, defMult: 0.9, behavior: 'skittish', icon: '👺', shape: 'humanoid' },
     { name: 'Skeleton', color: '#c0c0c0', hpMult: 0.8, atkMult: 1.1, defMult: 1.0, icon: '💀', shape: 'humanoid' },
     { name: 'Orc', color: '#5a7a5a', hpMult: 1.3, atkMult: 1.0, defMult: 1.1, icon: '👹', shape: 'humanoid' },
-    { name: 'Dark Elf', color: '#6a5a8a', hpMult: 0.9, atkMult: 1.3, defMult: 0.9, icon: '🧝', shape: 'humanoid' },
+    { name: 'Dark Elf', color: '#6a5a8a', hpMult: 0.9, atkMult: 1.3, defMult: 0.9, behavior: 'ranged', icon: '🧝', shape: 'humanoid' },
     { name: 'Troll', color: '#5a6a5a', hpMult: 1.5, atkMult: 0.9, defMult: 1.2, icon: '🧌', shape: 'humanoid' },
     { name: 'Demon', color: '#8a5a5a', hpMult: 1.2, atkMult: 1.2, defMult: 1.0, icon: '👿', shape: 'humanoid' },
-    { name: 'Wraith', color: '#4a4a6a', hpMult: 0.7, atkMult: 1.4, defMult: 0.7, canPoison: true, icon: '👻', shape: 'ghost' },
-    { name: 'Spider', color: '#3a3a3a', hpMult: 0.6, atkMult: 1.5, defMult: 0.6, canPoison: true, icon: '🕷️', shape: 'spider' },
-    { name: 'Bat', color: '#5a4a4a', hpMult: 0.5, atkMult: 1.1, defMult: 0.5, icon: '🦇', shape: 'flying' },
-    { name: 'Rat', color: '#6a5a4a', hpMult: 0.4, atkMult: 0.8, defMult: 0.4, icon: '🐀', shape: 'small' },
-    { name: 'Snake', color: '#4a6a4a', hpMult: 0.5, atkMult: 1.3, defMult: 0.5, canPoison: true, icon: '🐍', shape: 'snake' },
-    { name: 'Wolf', color: '#7a7a7a', hpMult: 0.8, atkMult: 1.2, defMult: 0.7, icon: '🐺', shape: 'beast' },
+    { name: 'Wraith', color: '#4a4a6a', hpMult: 0.7, atkMult: 1.4, defMult: 0.7, canPoison: true, behavior: 'ranged', icon: '👻', shape: 'ghost' },
+    { name: 'Spider', color: '#3a3a3a', hpMult: 0.6, atkMult: 1.5, defMult: 0.6, canPoison: true, behavior: 'ambush', icon: '🕷️', shape: 'spider' },
+    { name: 'Bat', color: '#5a4a4a', hpMult: 0.5, atkMult: 1.1, defMult: 0.5, behavior: 'skittish', icon: '🦇', shape: 'flying' },
+    { name: 'Rat', color: '#6a5a4a', hpMult: 0.4, atkMult: 0.8, defMult: 0.4, behavior: 'skittish', icon: '🐀', shape: 'small' },
+    { name: 'Snake', color: '#4a6a4a', hpMult: 0.5, atkMult: 1.3, defMult: 0.5, canPoison: true, behavior: 'ambush', icon: '🐍', shape: 'snake' },
+    { name: 'Wolf', color: '#7a7a7a', hpMult: 0.8, atkMult: 1.2, defMult: 0.7, behavior: 'pack', icon: '🐺', shape: 'beast' },
     { name: 'Zombie', color: '#5a6a5a', hpMult: 1.2, atkMult: 0.9, defMult: 1.0, icon: '🧟', shape: 'humanoid' },
     { name: 'Vampire', color: '#4a3a4a', hpMult: 1.0, atkMult: 1.3, defMult: 0.9, icon: '🧛', shape: 'humanoid' },
     { name: 'Golem', color: '#8a7a6a', hpMult: 2.0, atkMult: 0.8, defMult: 1.5, icon: '🗿', shape: 'golem' }
 ];
 
+// Monster behaviour profiles, picked by MONSTER_TYPES[].behavior (plain melee if unset).
+// Bosses and mini-bosses have no profile and fight like melee brutes. All of them notice
+// the hero within CONFIG.MONSTER_CHASE_RANGE.
+const MONSTER_BEHAVIORS = {
+    melee: { name: 'Brute' },
+    ranged: { name: 'Caster', range: 4, keepDistance: 2, retreatSpeed: 0.6, damageMult: 0.8 },
+    skittish: { name: 'Skittish', fleeBelow: 0.3, fleeSpeed: 0.7, fleeTime: 5 },
+    pack: { name: 'Pack Hunter', alertRadius: 6, packBonus: 0.15 },
+    ambush: { name: 'Ambusher', triggerRange: 2, firstStrikeMult: 2 }
+};
+
+// Seconds a monster's attack is telegraphed before it lands on the tile the hero stood on
+const MONSTER_WINDUP = { melee: 0.4, ranged: 0.6 };
+
+// Boss movesets: each boss cycles through the moves of its current phase. A phase starts
+// once the boss falls to `below` of its max HP and may open with a one-off `event`.
 const BOSS_TYPES = [
-    { name: 'Slime King', icon: '👑', baseType: 'Slime' },
-    { name: 'Goblin Chief', icon: '⚔️', baseType: 'Goblin' },
-    { name: 'Bone Lord', icon: '☠️', baseType: 'Skeleton' },
-    { name: 'Orc Warlord', icon: '🪓', baseType: 'Orc' },
-    { name: 'Shadow Assassin', icon: '🗡️', baseType: 'Dark Elf' },
-    { name: 'Troll King', icon: '🔨', baseType: 'Troll' },
-    { name: 'Demon Prince', icon: '🔥', baseType: 'Demon' },
-    { name: 'Ancient Dragon', icon: '🐉', baseType: 'Dragon' },
-    { name: 'Lich', icon: '💀', baseType: 'Wraith' },
-    { name: 'Spider Queen', icon: '🕸️', baseType: 'Spider' }
+    { name: 'Slime King', icon: '👑', baseType: 'Slime', phases: [
+        { moves: ['slam'] },
+        { below: 0.5, event: 'split', moves: ['slam', 'ooze'] }
+    ] },
+    { name: 'Goblin Chief', icon: '⚔️', baseType: 'Goblin', phases: [
+        { moves: ['volley'] },
+        { below: 0.5, event: 'rally', moves: ['volley', 'charge'] }
+    ] },
+    { name: 'Bone Lord', icon: '☠️', baseType: 'Skeleton', phases: [
+        { moves: ['boneSpikes'] },
+        { below: 0.5, event: 'boneArmor', moves: ['boneSpikes', 'boneStorm'] }
+    ] },
+    { name: 'Orc Warlord', icon: '🪓', baseType: 'Orc', phases: [
+        { moves: ['cleave'] },
+        { below: 0.5, event: 'enrage', moves: ['cleave', 'charge'] }
+    ] },
+    { name: 'Shadow Assassin', icon: '🗡️', baseType: 'Dark Elf', phases: [
+        { moves: ['shadowStrike'] },
+        { below: 0.5, event: 'vanish', moves: ['fanOfKnives', 'shadowStrike'] }
+    ] },
+    { name: 'Troll King', icon: '🔨', baseType: 'Troll', phases: [
+        { moves: ['groundPound'] },
+        { below: 0.5, event: 'regenerate', moves: ['groundPound', 'boulder'] }
+    ] },
+    { name: 'Demon Prince', icon: '🔥', baseType: 'Demon', phases: [
+        { moves: ['hellfire'] },
+        { below: 0.6, moves: ['hellfire', 'fireRing'] },
+        { below: 0.25, event: 'enrage', moves: ['meteor', 'fireRing'] }
+    ] },
+    { name: 'Ancient Dragon', icon: '🐉', baseType: 'Dragon', phases: [
+        { moves: ['fireBreath', 'tailSwipe'] },
+        { below: 0.6, moves: ['fireBreath', 'meteor'] },
+        { below: 0.3, event: 'enrage', moves: ['fireBreath', 'meteor', 'tailSwipe'] }
+    ] },
+    { name: 'Lich', icon: '💀', baseType: 'Wraith', phases: [
+        { moves: ['soulBolt', 'frostNova'] },
+        { below: 0.6, moves: ['raiseDead', 'soulBolt', 'frostNova'] }
+    ] },
+    { name: 'Spider Queen', icon: '🕸️', baseType: 'Spider', phases: [
+        { moves: ['web', 'venomSpit'] },
+        { below: 0.5, event: 'brood', moves: ['web', 'venomSpit', 'venomSpit'] }
+    ] }
 ];
 
+// Boss moves. A move is telegraphed over the tiles it threatens for `windup` seconds and
+// then lands on whatever stands there. shape: 'around' the boss, 'target' around the hero,
+// 'line' from the boss toward the hero, 'cross' through the hero, 'corpses' on the fallen.
+// damage multiplies a normal hit from the boss.
+const BOSS_MOVES = {
+    slam: { name: 'Slam', shape: 'around', size: 1, windup: 1.2, damage: 1.2, cooldown: 5, color: '#2ecc71' },
+    ooze: { name: 'Ooze', shape: 'target', size: 1, windup: 1.4, damage: 0.6, status: 'poison', cooldown: 6, color: '#27ae60' },
+    volley: { name: 'Arrow Volley', shape: 'target', size: 1, windup: 1.2, damage: 0.8, cooldown: 5, color: '#f1c40f' },
+    charge: { name: 'Charge', shape: 'line', size: 5, windup: 1.0, damage: 1.3, effect: 'charge', cooldown: 7, color: '#e67e22' },
+    boneSpikes: { name: 'Bone Spikes', shape: 'cross', size: 2, windup: 1.3, damage: 1.0, cooldown: 5, color: '#ecf0f1' },
+    boneStorm: { name: 'Bone Storm', shape: 'around', size: 2, windup: 1.6, damage: 1.2, cooldown: 8, color: '#bdc3c7' },
+    cleave: { name: 'Cleave', shape: 'around', size: 1, windup: 1.0, damage: 1.5, cooldown: 6, color: '#c0392b' },
+    shadowStrike: { name: 'Shadow Strike', shape: 'target', size: 0, windup: 0.8, damage: 1.8, cooldown: 6, color: '#8e44ad' },
+    fanOfKnives: { name: 'Fan of Knives', shape: 'cross', size: 3, windup: 1.0, damage: 0.8, status: 'poison', cooldown: 6, color: '#9b59b6' },
+    groundPound: { name: 'Ground Pound', shape: 'around', size: 2, windup: 1.6, damage: 1.3, cooldown: 7, color: '#7f8c8d' },
+    boulder: { name: 'Boulder Toss', shape: 'target', size: 1, windup: 1.4, damage: 1.0, status: 'stun', cooldown: 8, color: '#95a5a6' },
+    hellfire: { name: 'Hellfire', shape: 'target', size: 1, windup: 1.3, damage: 1.0, status: 'burn', cooldown: 5, color: '#e74c3c' },
+    fireRing: { name: 'Ring of Fire', shape: 'around', size: 2, windup: 1.5, damage: 1.2, status: 'burn', cooldown: 7, color: '#d35400' },
+    meteor: { name: 'Meteor', shape: 'target', size: 2, windup: 2.0, damage: 1.8, status: 'burn', cooldown: 10, color: '#ff6b00' },
+    fireBreath: { name: 'Fire Breath', shape: 'line', size: 6, windup: 1.3, damage: 1.5, status: 'burn', cooldown: 6, color: '#ff4500' },
+    tailSwipe: { name: 'Tail Swipe', shape: 'around', size: 1, windup: 0.9, damage: 1.2, status: 'stun', cooldown: 6, color: '#a04000' },
+    frostNova: { name: 'Frost Nova', shape: 'around', size: 2, windup: 1.4, damage: 0.8, status: 'freeze', cooldown: 6, color: '#5dade2' },
+    soulBolt: { name: 'Soul Bolt', shape: 'line', size: 6, windup: 1.1, damage: 1.2, cooldown: 5, color: '#76d7c4' },
+    raiseDead: { name: 'Raise Dead', shape: 'corpses', size: 3, windup: 2.0, effect: 'raise', cooldown: 12, color: '#7d3c98' },
+    web: { name: 'Web', shape: 'target', size: 1, windup: 1.2, effect: 'web', cooldown: 7, color: '#d5d8dc' },
+    venomSpit: { name: 'Venom Spit', shape: 'line', size: 5, windup: 1.0, damage: 1.0, status: 'poison', cooldown: 5, color: '#58d68d' }
+};
+
+const BOSS_MOVE_RANGE = 8; // Bosses only start a move with the hero this close
+const WEB_CONFIG = { duration: 10, slow: 0.4 }; // Spider Queen webs: seconds they last, hero move speed on them
+
 const BOSS_NAMES = BOSS_TYPES.map(b => b.name);
 
 // Equipment Rarities
-const RARITIES = ['common', 'uncommon', 'rare', 'epic', 'legendary'];
-const RARITY_COLORS = { common: '#aaa', uncommon: '#28a745', rare: '#4a9eff', epic: '#9b59b6', legendary: '#ffd700' };
-const RARITY_MULT = { common: 1, uncommon: 1.3, rare: 1.6, epic: 2, legendary: 3 };
+const RARITIES = ['common', 'uncommon', 'rare', 'epic', 'legendary', 'mythic'];
+const RARITY_COLORS = { common: '#aaa', uncommon: '#28a745', rare: '#4a9eff', epic: '#9b59b6', legendary: '#ffd700', mythic: '#e74c3c' };
+const RARITY_MULT = { common: 1, uncommon: 1.3, rare: 1.6, epic: 2, legendary: 3, mythic: 4 };
+// Mythic is not part of the normal rarity roll; it has its own chance once unlocked
+const LEGENDARY_RARITY_IDX = RARITIES.indexOf('legendary');
+const MYTHIC_DROP_CHANCE = 0.01;
 
 // Equipment Types with icons
 const EQUIPMENT_BASES = {
@@ -1209,6 +1484,28 @@ const EQUIPMENT_BASES = {
     ]
 };
 
+// Unique affix carried by every mythic of a given base; stats (except spd) scale like base stats
+const MYTHIC_AFFIXES = {
+    Sword: { name: 'of the Dawnbreaker', stats: { atk: 4, crit: 2 } },
+    Axe: { name: 'of the Worldsplitter', stats: { atk: 6, critDmg: 15 } },
+    Dagger: { name: 'of the Last Whisper', stats: { crit: 4, eva: 2 } },
+    Staff: { name: 'of the Starfall', stats: { atk: 3, critDmg: 30 } },
+    Bow: { name: 'of the Horizon', stats: { atk: 3, spd: 0.1 } },
+    Hammer: { name: 'of the Titan', stats: { atk: 5, def: 3 } },
+    Spear: { name: 'of the Skypiercer', stats: { atk: 4, crit: 2, spd: 0.05 } },
+    Leather: { name: 'of the Phantom', stats: { eva: 4, spd: 0.05 } },
+    Chainmail: { name: 'of the Unbroken', stats: { def: 4, hp: 20 } },
+    Plate: { name: 'of the Bastion', stats: { def: 5, hp: 30 } },
+    Robes: { name: 'of the Archmage', stats: { hp: 25, critDmg: 20 } },
+    Scale: { name: 'of the Wyrm', stats: { def: 3, atk: 3 } },
+    Ring: { name: 'of the Eclipse', stats: { crit: 3, critDmg: 15 } },
+    Amulet: { name: 'of the Phoenix', stats: { hp: 40, def: 2 } },
+    Cloak: { name: 'of the Void', stats: { eva: 4, crit: 2 } },
+    Belt: { name: 'of the Colossus', stats: { hp: 30, atk: 2 } },
+    Bracelet: { name: 'of the Tempest', stats: { atk: 3, spd: 0.1 } },
+    Crown: { name: 'of the Undying King', stats: { hp: 25, critDmg: 20, def: 2 } }
+};
+
 // Equipment slot icons
 const EQUIPMENT_SLOT_ICONS = {
     weapon: '⚔️',
@@ -1361,6 +1658,10 @@ const SYNERGIES = [
       effect: { attack: 0.5 }, desc: '+50% ATK when below 30% HP' },
     { id: 'arcane_overload', name: 'Arcane Overload', requires: { class: 'mage', kills: 10 },
       effect: { critChance: 20 }, desc: '+20% crit after 10 kills this floor' },
+    { id: 'righteous_bulwark', name: 'Righteous Bulwark', requires: { class: 'paladin', defense: 30 },
+      effect: { attack: 0.2 }, desc: '+20% ATK when DEF > 30' },
+    { id: 'martyrs_resolve', name: "Martyr's Resolve", requires: { class: 'paladin', hpBelow: 0.4 },
+      effect: { defense: 0.4 }, desc: '+40% DEF when below 40% HP' },
     { id: 'soul_harvester', name: 'Soul Harvester', requires: { pet: 'wolf', kills: 5 },
       effect: { soulBonus: 0.25 }, desc: '+25% souls after 5 kills with Wolf' },
     { id: 'phoenix_rebirth', name: 'Phoenix Rebirth', requires: { pet: 'phoenix', hpBelow: 0.2 },
@@ -1402,9 +1703,24 @@ const ASCENSION_TIERS = [
     { tier: 7, name: 'Legend', requirement: 1500000, bonus: { soulMult: 10.0, statMult: 3.0 }, unlocks: ['mythic_gear'] }
 ];
 
+// === NEW FEATURE: PRESTIGE SHOP ===
+// Perks bought with prestige tokens; they survive prestige but are lost on ascension.
+// Cost of the next level is baseCost * costMult^level.
+const PRESTIGE_PERKS = {
+    headStart: { name: 'Head Start', icon: '🪜', desc: 'Start runs 5 floors deeper (not in Speedrun or Daily)', perLevel: 5, maxLevel: 4, baseCost: 2, costMult: 2 },
+    deepPockets: { name: 'Deep Pockets', icon: '🎒', desc: '+1 inventory row (4 slots)', perLevel: 4, maxLevel: 3, baseCost: 2, costMult: 2 },
+    autoSell: { name: 'Auto-Sell Filters', icon: '♻️', desc: 'Auto-sell loot of the next rarity up', maxLevel: 3, baseCost: 3, costMult: 2 },
+    reliquary: { name: 'Reliquary', icon: '🏺', desc: '+1 relic slot', maxLevel: 1, baseCost: 8, costMult: 1 }
+};
+
+// Rarities the auto-sell perk unlocks, one per level
+const AUTO_SELL_RARITIES = ['common', 'uncommon', 'rare'];
+const ITEM_SELL_VALUES = { common: 5, uncommon: 12, rare: 30 };
+const BASE_INVENTORY_SIZE = 20;
+
 // === NEW FEATURE: RELIC SYSTEM ===
 const RELICS = [
-    { id: 'chrono_shard', name: 'Chrono Shard', tier: 'rare', effect: { speedBonus: 0.15 }, desc: '+15% game speed' },
+    { id: 'chrono_shard', name: 'Chrono Shard', tier: 'rare', effect: { speedBonus: 0.15 }, desc: '+15% move and attack speed' },
     { id: 'soul_gem', name: 'Soul Gem', tier: 'epic', effect: { soulBonus: 0.2 }, desc: '+20% soul points' },
     { id: 'blood_ruby', name: 'Blood Ruby', tier: 'rare', effect: { lifesteal: 0.05 }, desc: '5% lifesteal on hit' },
     { id: 'storm_crystal', name: 'Storm Crystal', tier: 'epic', effect: { chainLightning: 0.1 }, desc: '10% chance to chain lightning' },
@@ -1515,7 +1831,10 @@ const DODGE_CONFIG = {
     maxStamina: 100,        // Maximum stamina
     staminaRegen: 15,       // Stamina regen per second
     perfectDodgeWindow: 0.15, // Perfect dodge timing window
-    perfectDodgeBonus: 1.5   // Damage bonus after perfect dodge
+    perfectDodgeBonus: 1.5,  // Damage bonus after perfect dodge
+    autoDodgeChance: 0.25,   // Auto-dodge success chance at level 1 with no evasion
+    autoDodgePerLevel: 0.01, // Extra auto-dodge chance per hero level
+    autoDodgeMaxChance: 0.75
 };
 
 // === NEW FEATURE: CRAFTING SYSTEM ===
@@ -1542,7 +1861,11 @@ const CRAFTING_RECIPES = [
     { id: 'silver_mail', name: 'Silver Chainmail', type: 'armor', materials: { silver_ore: 10, iron_ore: 5 }, result: { base: 'Chainmail', rarity: 'rare' } },
     { id: 'dragon_plate', name: 'Dragon Plate', type: 'armor', materials: { adamantite: 12, dragon_scale: 5 }, result: { base: 'Plate', rarity: 'legendary' } },
     { id: 'void_ring', name: 'Void Ring', type: 'accessory', materials: { void_shard: 5, celestial_dust: 3 }, result: { base: 'Ring', rarity: 'legendary' } },
-    { id: 'celestial_amulet', name: 'Celestial Amulet', type: 'accessory', materials: { celestial_dust: 8, boss_core: 3 }, result: { base: 'Amulet', rarity: 'legendary' } }
+    { id: 'celestial_amulet', name: 'Celestial Amulet', type: 'accessory', materials: { celestial_dust: 8, boss_core: 3 }, result: { base: 'Amulet', rarity: 'legendary' } },
+    // Mythic recipes need the Legend ascension unlock
+    { id: 'eternal_edge', name: 'Eternal Edge', type: 'weapon', materials: { adamantite: 25, void_shard: 8, celestial_dust: 6, boss_core: 5 }, result: { base: 'Sword', rarity: 'mythic' } },
+    { id: 'starforged_plate', name: 'Starforged Plate', type: 'armor', materials: { adamantite: 20, dragon_scale: 10, celestial_dust: 6, boss_core: 5 }, result: { base: 'Plate', rarity: 'mythic' } },
+    { id: 'crown_of_ages', name: 'Crown of Ages', type: 'accessory', materials: { void_shard: 10, celestial_dust: 10, boss_core: 5 }, result: { base: 'Crown', rarity: 'mythic' } }
 ];
 
 // === NEW FEATURE: ENCHANTING SYSTEM ===
@@ -1564,7 +1887,46 @@ const ENCHANTING_COSTS = {
     uncommon: { souls: 100, materials: { monster_essence: 5, iron_ore: 3 } },
     rare: { souls: 250, materials: { monster_essence: 10, silver_ore: 5 } },
     epic: { souls: 500, materials: { boss_core: 1, gold_ore: 8 } },
-    legendary: { souls: 1000, materials: { boss_core: 3, mythril: 5, void_shard: 2 } }
+    legendary: { souls: 1000, materials: { boss_core: 3, mythril: 5, void_shard: 2 } },
+    mythic: { souls: 2500, materials: { boss_core: 5, adamantite: 5, void_shard: 4, celestial_dust: 3 } }
+};
+
+// === NEW FEATURE: ITEM AFFIXES ===
+// Rolled on drops. `stats` ranges scale with floor and add to the item's own stats;
+// `effect` ranges use the ENCHANTMENT_TYPES effect keys and stack with enchantments in combat.
+const ITEM_AFFIXES = [
+    { id: 'blazing', name: 'Blazing', type: 'prefix', slots: ['weapon'], effect: { burnChance: [0.05, 0.12], burnDamage: [0.1, 0.1] } },
+    { id: 'frigid', name: 'Frigid', type: 'prefix', slots: ['weapon'], effect: { freezeChance: [0.03, 0.08] } },
+    { id: 'crackling', name: 'Crackling', type: 'prefix', slots: ['weapon', 'accessory'], effect: { chainChance: [0.03, 0.06], chainDamage: [0.4, 0.4] } },
+    { id: 'brutal', name: 'Brutal', type: 'prefix', slots: ['weapon'], stats: { atk: [2, 5] } },
+    { id: 'keen', name: 'Keen', type: 'prefix', slots: ['weapon', 'accessory'], stats: { crit: [1, 3] } },
+    { id: 'sturdy', name: 'Sturdy', type: 'prefix', slots: ['armor'], stats: { def: [2, 4] } },
+    { id: 'hearty', name: 'Hearty', type: 'prefix', slots: ['armor', 'accessory'], stats: { hp: [10, 25] } },
+    { id: 'vampire', name: 'of the Vampire', type: 'suffix', slots: ['weapon', 'accessory'], effect: { lifesteal: [0.02, 0.05] } },
+    { id: 'thorns', name: 'of Thorns', type: 'suffix', slots: ['armor'], effect: { reflectDamage: [0.05, 0.12] } },
+    { id: 'warding', name: 'of Warding', type: 'suffix', slots: ['armor'], effect: { damageReduction: [0.03, 0.07] } },
+    { id: 'haste', name: 'of Haste', type: 'suffix', slots: ['armor', 'accessory'], effect: { speedBonus: [0.05, 0.12] } },
+    { id: 'fortune', name: 'of Fortune', type: 'suffix', slots: ['accessory'], effect: { luckBonus: [0.05, 0.15] } },
+    { id: 'wisdom', name: 'of Wisdom', type: 'suffix', slots: ['accessory'], effect: { soulBonus: [0.05, 0.15] } },
+    { id: 'fox', name: 'of the Fox', type: 'suffix', slots: ['armor', 'accessory'], stats: { eva: [1, 3] } },
+    { id: 'slaying', name: 'of Slaying', type: 'suffix', slots: ['weapon'], stats: { critDmg: [10, 25] } }
+];
+
+const AFFIX_COUNTS = { common: 0, uncommon: 1, rare: 1, epic: 2, legendary: 3, mythic: 3 };
+
+// Tooltip labels and isItemBetter value per 1.0 of each affix effect
+const AFFIX_EFFECTS = {
+    burnChance: { label: 'burn chance', value: 150 },
+    burnDamage: { label: 'burn damage', value: 0 },
+    freezeChance: { label: 'freeze chance', value: 300 },
+    chainChance: { label: 'chain lightning', value: 300 },
+    chainDamage: { label: 'chain damage', value: 0 },
+    lifesteal: { label: 'lifesteal', value: 400 },
+    reflectDamage: { label: 'damage reflected', value: 150 },
+    damageReduction: { label: 'damage reduction', value: 400 },
+    speedBonus: { label: 'attack speed', value: 150 },
+    luckBonus: { label: 'drop rate', value: 100 },
+    soulBonus: { label: 'soul points', value: 100 }
 };
 
 // === NEW FEATURE: PET EVOLUTION ===
@@ -1669,6 +2031,25 @@ const GAME_MODES = {
     nightmare: { name: 'Nightmare', desc: 'Extreme difficulty, extreme rewards', modifiers: { enemyHp: 2, enemyDamage: 1.5, rewardMult: 5 }, unlockFloor: 200 }
 };
 
+// Short labels for the mode selection cards (null hides the modifier)
+const GAME_MODE_MODIFIER_LABELS = {
+    noFloorCap: () => 'No floor cap',
+    scalingDifficulty: v => `Enemies +${Math.round((v - 1) * 100)}% per floor`,
+    bossesOnly: () => 'Bosses only',
+    noHeal: () => 'No healing',
+    bossRewards: v => `${v}x boss loot`,
+    seeded: () => 'Daily seed',
+    noRetry: () => 'One attempt',
+    bonusRewards: v => `${v}x daily bonus`,
+    permadeath: () => 'Permadeath',
+    rewardMult: v => `${v}x rewards`,
+    timer: () => 'Timed',
+    targetFloor: v => `Goal: Floor ${v}`,
+    bonusPerSecond: () => null,
+    enemyHp: v => `${v}x enemy HP`,
+    enemyDamage: v => `${v}x enemy damage`
+};
+
 // === NEW FEATURE: MINIMAP CONFIG ===
 const MINIMAP_CONFIG = {
     size: 150,           // Minimap size in pixels
@@ -1713,8 +2094,9 @@ let gameState = {
     specialItems: { lifeCrystal: false, warriorsBlade: false, guardianShield: false, swiftBoots: false, shadowCloak: false },
     achievements: {},
     skillTree: {},
-    settings: { musicVolume: 50, sfxVolume: 50, showDamage: true, showLog: true, autoLoot: false, showParticles: true, tutorialComplete: false },
-    stats: { monstersKilled: 0, bossesKilled: 0, elitesKilled: 0, miniBossesKilled: 0, chestsOpened: 0, totalDamage: 0, timePlayed: 0, legendariesFound: 0, shrinesUsed: 0, fountainsUsed: 0, altarsUsed: 0, totalSoulsEarned: 0, highestDamage: 0, longestStreak: 0, totalHealing: 0 },
+    settings: { musicVolume: 50, sfxVolume: 50, showDamage: true, showLog: true, autoLoot: false, autoDodge: false, showParticles: true, tutorialComplete: false,
+        autoSell: { common: false, uncommon: false, rare: false } },
+    stats: { monstersKilled: 0, bossesKilled: 0, elitesKilled: 0, miniBossesKilled: 0, chestsOpened: 0, totalDamage: 0, timePlayed: 0, legendariesFound: 0, mythicsFound: 0, shrinesUsed: 0, fountainsUsed: 0, altarsUsed: 0, totalSoulsEarned: 0, highestDamage: 0, longestStreak: 0, totalHealing: 0 },
     lastSaveTime: Date.now(),
     pets: {},
     activePet: null,
@@ -1740,6 +2122,9 @@ let gameState = {
     traps: [],
     npcs: [],
     roomEvents: [],
+    telegraphs: [], // Attacks winding up: { source, tiles, timer, duration, color, onLand }
+    webs: [], // Spider Queen webs: { x, y, timer }
+    corpses: [], // Monsters slain this floor, for the Lich to raise
     gameRunning: false,
     gameSpeed: 1,
     skillCooldowns: {
@@ -1798,7 +2183,16 @@ let gameState = {
 
     // Game mode
     currentGameMode: 'normal',
+    selectedGameMode: 'normal', // Mode the next run starts in
+    modeBests: {}, // Deepest floor reached per game mode
+    speedrunRecords: {}, // Personal best history per class, oldest first: { warrior: [{ time, splits, ... }] }
+    prestigeTokens: 0, // Prestige shop currency, earned from prestiges once the shop is unlocked
+    prestigePerks: {}, // Prestige shop perk levels: { headStart: 2 }
     gameModeTimer: 0,
+    endlessLeaderboard: {}, // Deepest Endless floor per class: { warrior: { floor, date } }
+    hardcoreCharacter: null, // Whichever character (normal or hardcore) is not currently live
+    hardcoreActive: false,
+    hallOfFame: [],
 
     // Minimap
     exploredTiles: [],
@@ -1906,16 +2300,17 @@ function initDOM() {
 
     // Cache all DOM elements
     const ids = ['soul-points', 'current-floor', 'player-level', 'best-floor', 'prestige-level',
-        'class-icon', 'class-name', 'stat-hp', 'stat-attack', 'stat-defense', 'stat-speed', 'stat-evasion', 'stat-crit-chance', 'stat-crit-damage',
+        'class-icon', 'class-name', 'stat-hp', 'stat-attack', 'stat-defense', 'stat-speed', 'stat-evasion', 'stat-crit-chance', 'stat-crit-damage', 'stat-modifiers',
         'xp-bar', 'xp-current', 'xp-needed', 'player-status-effects', 'player-health-float', 'player-health-bar',
         'damage-container', 'combat-log', 'floor-type', 'monsters-remaining', 'biome-indicator',
         'chests-collected', 'chests-total', 'exit-status', 'objective-chests', 'objective-monsters', 'objective-exit',
-        'death-modal', 'death-floor', 'death-level', 'death-kills', 'death-souls', 'death-loot', 'restart-btn',
+        'death-modal', 'death-floor', 'death-level', 'death-kills', 'death-souls', 'death-killer', 'death-loot', 'restart-btn',
+        'death-title', 'death-mode', 'death-mode-btn', 'mode-modal', 'mode-options', 'close-mode-modal',
         'class-modal', 'npc-modal', 'npc-name', 'npc-dialog', 'npc-options', 'npc-portrait', 'close-npc',
         'chest-modal', 'chest-contents', 'close-chest', 'achievement-popup', 'achievement-popup-name',
         'save-modal', 'save-modal-title', 'save-textarea', 'copy-save', 'close-save-modal',
         'slot-weapon', 'slot-armor', 'slot-accessory', 'inventory-grid', 'achievements-list', 'achievements-unlocked', 'achievements-total',
-        'prestige-mult', 'prestige-souls', 'prestige-new-mult', 'prestige-btn',
+        'prestige-mult', 'prestige-souls', 'prestige-new-mult', 'prestige-tokens-row', 'prestige-tokens', 'prestige-btn',
         'stats-runs', 'stats-kills', 'stats-damage', 'stats-chests', 'stats-time',
         'heal-cooldown', 'dash-cooldown', 'whirlwind-cooldown', 'fireball-cooldown',
         'stats-panel', 'skills-panel', 'equipment-panel', 'upgrades-panel', 'achievements-panel', 'settings-panel', 'log-panel',
@@ -1928,6 +2323,18 @@ function setupEventListeners() {
     // Restart
     DOM.restart_btn?.addEventListener('click', () => { DOM.death_modal.classList.remove('active'); startNewRun(); });
 
+    // Game mode selection (applies to the next run)
+    DOM.death_mode_btn?.addEventListener('click', openModeSelect);
+    DOM.mode_options?.addEventListener('click', (e) => {
+        const card = e.target.closest('.mode-card');
+        if (!card || !selectGameMode(card.dataset.mode)) return;
+        renderGameModeCards(DOM.mode_options, getGameModeProgress(), gameState.selectedGameMode);
+        DOM.death_mode.textContent = GAME_MODES[gameState.selectedGameMode].name;
+    });
+    DOM.close_mode_modal?.addEventListener('click', () => DOM.mode_modal.classList.remove('active'));
+
+    document.getElementById('ultimate-slot')?.addEventListener('click', useUltimate);
+
     // Class selection
     document.querySelectorAll('.class-option').forEach(el => {
         el.addEventListener('click', () => selectClass(el.dataset.class));
@@ -2097,6 +2504,15 @@ function setupEventListeners() {
         });
     }
 
+    const autoDodge = document.getElementById('auto-dodge');
+    if (autoDodge) {
+        autoDodge.checked = gameState.settings.autoDodge;
+        autoDodge.addEventListener('change', () => {
+            gameState.settings.autoDodge = autoDodge.checked;
+            saveGame();
+        });
+    }
+
     // Audio volume controls
     const musicVolume = document.getElementById('music-volume');
     if (musicVolume) {
@@ -2152,6 +2568,7 @@ function handleKeyboard(e) {
     else if (key === 'w') togglePanel('skills');
     else if (key === 'e') togglePanel('equipment');
     else if (key === 'r') togglePanel('upgrades');
+    else if (key === 'x') useUltimate();
     else if (key === ' ') { e.preventDefault(); cycleSpeed(); }
     // Dodge mechanic - Shift key or D key
     else if (key === 'd' || key === 'shift') {
@@ -2281,6 +2698,7 @@ function updatePanels() {
         const panel = DOM[name + '_panel'];
         if (panel) panel.classList.toggle('open', panels[name]);
     });
+    if (panels.equipment) updateCraftingUI();
     document.querySelectorAll('.menu-toggle-btn').forEach(btn => {
         btn.classList.toggle('active', panels[btn.dataset.menu]);
     });
@@ -2296,7 +2714,9 @@ function switchShopTab(tab) {
     document.getElementById('shop-synergies')?.classList.toggle('hidden', tab !== 'synergies');
     document.getElementById('shop-challenges')?.classList.toggle('hidden', tab !== 'challenges');
     document.getElementById('shop-ascension')?.classList.toggle('hidden', tab !== 'ascension');
+    document.getElementById('shop-perks')?.classList.toggle('hidden', tab !== 'perks');
     if (tab === 'prestige') updatePrestigeUI();
+    if (tab === 'perks') updatePrestigeShopUI();
     if (tab === 'pets') updatePetsUI();
     if (tab === 'relics') updateRelicsUI();
     if (tab === 'synergies') updateSynergiesUI();
@@ -2308,7 +2728,16 @@ function switchShopTab(tab) {
 // CLASS SELECTION
 // ==========================================
 
+// Shows the class modal, hiding classes whose ascension unlock hasn't been reached
+function openClassSelect() {
+    document.querySelectorAll('.class-option').forEach(el => {
+        el.hidden = !isClassUnlocked(el.dataset.class);
+    });
+    DOM.class_modal.classList.add('active');
+}
+
 function selectClass(className) {
+    if (!isClassUnlocked(className)) return;
     gameState.selectedClass = className;
     DOM.class_modal.classList.remove('active');
 
@@ -2331,41 +2760,62 @@ function selectClass(className) {
 // ==========================================
 
 function generateDungeon() {
+    seedFloorRng('dungeon');
+
     // Calculate dynamic grid size based on current floor
     const floor = gameState.run?.floor || 1;
-    const newSize = calculateGridSize(floor);
+    const bossRush = isBossRush();
 
-    // Add some variance - not always square
-    const widthVariance = Math.floor(Math.random() * 5) - 2; // -2 to +2
-    const heightVariance = Math.floor(Math.random() * 5) - 2;
+    if (bossRush) {
+        GRID_WIDTH = GRID_HEIGHT = CONFIG.BOSS_ARENA_SIZE;
+    } else {
+        const newSize = calculateGridSize(floor);
+
+        // Add some variance - not always square
+        const widthVariance = Math.floor(gameRandom() * 5) - 2; // -2 to +2
+        const heightVariance = Math.floor(gameRandom() * 5) - 2;
 
-    GRID_WIDTH = Math.max(MIN_GRID_SIZE, Math.min(MAX_GRID_SIZE, newSize + widthVariance));
-    GRID_HEIGHT = Math.max(MIN_GRID_SIZE, Math.min(MAX_GRID_SIZE, newSize + heightVariance));
+        GRID_WIDTH = Math.max(MIN_GRID_SIZE, Math.min(MAX_GRID_SIZE, newSize + widthVariance));
+        GRID_HEIGHT = Math.max(MIN_GRID_SIZE, Math.min(MAX_GRID_SIZE, newSize + heightVariance));
+    }
 
     // Recalculate tile size to fill available space
-    TILE_SIZE = calculateTileSize();
-    resizeCanvas();
+    if (!HEADLESS) {
+        TILE_SIZE = calculateTileSize();
+        resizeCanvas();
+    }
 
-    // Generate irregular cave-like dungeon
-    const grid = generateIrregularCave(GRID_WIDTH, GRID_HEIGHT, floor);
+    // Generate irregular cave-like dungeon (or a bare arena in Boss Rush)
+    const grid = bossRush ? generateBossArena(GRID_WIDTH, GRID_HEIGHT) : generateIrregularCave(GRID_WIDTH, GRID_HEIGHT, floor);
 
     gameState.grid = grid;
     gameState.chests = [];
     gameState.traps = [];
     gameState.npcs = [];
     gameState.roomEvents = [];
+    gameState.telegraphs = [];
+    gameState.webs = [];
+    gameState.corpses = [];
 
     // Reset floor progression state
     gameState.exitSpawned = false;
     gameState.exitPosition = null;
     gameState.chestsCollected = 0;
 
+    // Boss arenas hold nothing but the boss
+    if (bossRush) {
+        gameState.totalChestsOnFloor = 0;
+        gameState.secretRoomsFound = [];
+        gameState.exploredTiles = [];
+        return [];
+    }
+
     // Scale object counts with map size
     const mapArea = countFloorTiles(grid);
     const density = mapArea / 100; // Base density factor
 
     // Add chests (scales with map size)
-    const chestCount = Math.max(1, Math.floor(density * (1 + Math.random())));
+    const chestCount = Math.max(1, Math.floor(density * (1 + gameRandom())));
     for (let i = 0; i < chestCount; i++) {
         const pos = findValidPosition();
         if (pos) {
@@ -2376,7 +2826,7 @@ function generateDungeon() {
     gameState.totalChestsOnFloor = gameState.chests.length;
 
     // Add traps with variety (scales with map size)
-    const trapCount = Math.max(1, Math.floor(density * (1 + Math.random() * 2)));
+    const trapCount = Math.max(1, Math.floor(density * (1 + gameRandom() * 2)));
     for (let i = 0; i < trapCount; i++) {
         const pos = findValidPosition();
         if (pos) {
@@ -2389,7 +2839,7 @@ function generateDungeon() {
     // Add secret rooms (8% base chance, increases with floor)
     gameState.secretRoomsFound = [];
     const secretChance = 0.08 + (floor * 0.002);
-    if (Math.random() < secretChance) {
+    if (gameRandom() < secretChance) {
         const pos = findValidPosition();
         if (pos) {
             grid[pos.y][pos.x] = TILE.SECRET;
@@ -2404,40 +2854,40 @@ function generateDungeon() {
     gameState.exploredTiles = [];
 
     // Add NPC (10% chance, higher on larger maps)
-    if (Math.random() < 0.1 + density * 0.02) {
+    if (gameRandom() < 0.1 + density * 0.02) {
         const pos = findValidPosition();
         if (pos) {
             grid[pos.y][pos.x] = TILE.NPC;
-            const npcType = NPC_TYPES[Math.floor(Math.random() * NPC_TYPES.length)];
+            const npcType = NPC_TYPES[Math.floor(gameRandom() * NPC_TYPES.length)];
             gameState.npcs.push({ ...npcType, x: pos.x, y: pos.y });
         }
     }
 
     // Room Events scale with map size
     // Shrine
-    if (Math.random() < 0.15 + density * 0.01) {
+    if (gameRandom() < 0.15 + density * 0.01) {
         const pos = findValidPosition();
         if (pos) {
             grid[pos.y][pos.x] = TILE.SHRINE;
-            const effect = ROOM_EVENTS.shrine.effects[Math.floor(Math.random() * ROOM_EVENTS.shrine.effects.length)];
+            const effect = ROOM_EVENTS.shrine.effects[Math.floor(gameRandom() * ROOM_EVENTS.shrine.effects.length)];
             gameState.roomEvents.push({ type: 'shrine', x: pos.x, y: pos.y, used: false, effect });
         }
     }
     // Fountain
-    if (Math.random() < 0.12 + density * 0.01) {
+    if (gameRandom() < 0.12 + density * 0.01) {
         const pos = findValidPosition();
         if (pos) {
             grid[pos.y][pos.x] = TILE.FOUNTAIN;
-            const effect = ROOM_EVENTS.fountain.effects[Math.floor(Math.random() * ROOM_EVENTS.fountain.effects.length)];
+            const effect = ROOM_EVENTS.fountain.effects[Math.floor(gameRandom() * ROOM_EVENTS.fountain.effects.length)];
             gameState.roomEvents.push({ type: 'fountain', x: pos.x, y: pos.y, used: false, effect });
         }
     }
     // Cursed Altar (rarer, higher floors)
-    if (gameState.run && gameState.run.floor >= 5 && Math.random() < 0.1) {
+    if (gameState.run && gameState.run.floor >= 5 && gameRandom() < 0.1) {
         const pos = findValidPosition();
         if (pos) {
             grid[pos.y][pos.x] = TILE.ALTAR;
-            const effect = ROOM_EVENTS.altar.effects[Math.floor(Math.random() * ROOM_EVENTS.altar.effects.length)];
+            const effect = ROOM_EVENTS.altar.effects[Math.floor(gameRandom() * ROOM_EVENTS.altar.effects.length)];
             gameState.roomEvents.push({ type: 'altar', x: pos.x, y: pos.y, used: false, effect });
         }
     }
@@ -2456,6 +2906,30 @@ function countFloorTiles(grid) {
     return count;
 }
 
+/**
+ * Builds a compact open arena for Boss Rush floors
+ * @param {number} width - Arena width in tiles
+ * @param {number} height - Arena height in tiles
+ * @returns {number[][]} Grid with trimmed corners and four pillars for cover
+ */
+function generateBossArena(width, height) {
+    const grid = Array(height).fill(null).map(() => Array(width).fill(TILE.WALL));
+
+    for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) {
+            // Trim the corners so the arena reads as round
+            const cornerDist = Math.min(x - 1, width - 2 - x) + Math.min(y - 1, height - 2 - y);
+            if (cornerDist >= 2) grid[y][x] = TILE.FLOOR;
+        }
+    }
+
+    const px = [Math.floor(width / 3), width - 1 - Math.floor(width / 3)];
+    const py = [Math.floor(height / 3), height - 1 - Math.floor(height / 3)];
+    px.forEach(x => py.forEach(y => { grid[y][x] = TILE.WALL; }));
+
+    return grid;
+}
+
 // Generate irregular cave-like dungeon using cellular automata
 function generateIrregularCave(width, height, floor) {
     // Initialize grid with walls
@@ -2489,7 +2963,7 @@ function generateCellularCave(grid, width, height) {
     // Initial random fill (45% walls)
     for (let y = 1; y < height - 1; y++) {
         for (let x = 1; x < width - 1; x++) {
-            grid[y][x] = Math.random() < 0.45 ? TILE.WALL : TILE.FLOOR;
+            grid[y][x] = gameRandom() < 0.45 ? TILE.WALL : TILE.FLOOR;
         }
     }
 
@@ -2516,11 +2990,11 @@ function generateBlobRooms(grid, width, height, floor) {
 
     for (let i = 0; i < numBlobs; i++) {
         // Random center point (avoid edges)
-        const cx = 2 + Math.floor(Math.random() * (width - 4));
-        const cy = 2 + Math.floor(Math.random() * (height - 4));
+        const cx = 2 + Math.floor(gameRandom() * (width - 4));
+        const cy = 2 + Math.floor(gameRandom() * (height - 4));
 
         // Random blob size
-        const blobSize = 2 + Math.floor(Math.random() * Math.min(width, height) / 3);
+        const blobSize = 2 + Math.floor(gameRandom() * Math.min(width, height) / 3);
 
         // Generate irregular blob using random walk + radius
         generateBlob(grid, cx, cy, blobSize, width, height);
@@ -2543,7 +3017,7 @@ function generateBlob(grid, cx, cy, size, width, height) {
     // Generate points around center
     for (let i = 0; i < 360; i += 15) {
         const angle = (i * Math.PI) / 180;
-        const variance = 0.5 + Math.random() * 0.8; // 0.5 to 1.3
+        const variance = 0.5 + gameRandom() * 0.8; // 0.5 to 1.3
         const dist = size * variance;
         const px = Math.floor(cx + Math.cos(angle) * dist);
         const py = Math.floor(cy + Math.sin(angle) * dist);
@@ -2585,13 +3059,13 @@ function isPointInBlob(x, y, cx, cy, points) {
 // Method 3: Winding tunnel system
 function generateWindingTunnels(grid, width, height) {
     // Start with a few seed points
-    const numSeeds = 3 + Math.floor(Math.random() * 3);
+    const numSeeds = 3 + Math.floor(gameRandom() * 3);
     const seeds = [];
 
     for (let i = 0; i < numSeeds; i++) {
         seeds.push({
-            x: 2 + Math.floor(Math.random() * (width - 4)),
-            y: 2 + Math.floor(Math.random() * (height - 4))
+            x: 2 + Math.floor(gameRandom() * (width - 4)),
+            y: 2 + Math.floor(gameRandom() * (height - 4))
         });
     }
 
@@ -2604,7 +3078,7 @@ function generateWindingTunnels(grid, width, height) {
 
     // Add small rooms at seeds
     seeds.forEach(seed => {
-        const roomSize = 2 + Math.floor(Math.random() * 2);
+        const roomSize = 2 + Math.floor(gameRandom() * 2);
         for (let dy = -roomSize; dy <= roomSize; dy++) {
             for (let dx = -roomSize; dx <= roomSize; dx++) {
                 const nx = seed.x + dx;
@@ -2626,7 +3100,7 @@ function generateWindingTunnels(grid, width, height) {
 function carveWindingPath(grid, start, end, width, height) {
     let x = start.x;
     let y = start.y;
-    const tunnelWidth = 1 + Math.floor(Math.random() * 2); // 1-2 tile wide tunnels
+    const tunnelWidth = 1 + Math.floor(gameRandom() * 2); // 1-2 tile wide tunnels
 
     while (x !== end.x || y !== end.y) {
         // Carve current position with tunnel width
@@ -2641,21 +3115,21 @@ function carveWindingPath(grid, start, end, width, height) {
         }
 
         // Move towards target with some randomness
-        const moveX = Math.random() < 0.7 || y === end.y;
-        const moveY = Math.random() < 0.7 || x === end.x;
+        const moveX = gameRandom() < 0.7 || y === end.y;
+        const moveY = gameRandom() < 0.7 || x === end.x;
 
         if (moveX && x !== end.x) {
             x += x < end.x ? 1 : -1;
             // Random wiggle
-            if (Math.random() < 0.3 && y > 1 && y < height - 2) {
-                y += Math.random() < 0.5 ? 1 : -1;
+            if (gameRandom() < 0.3 && y > 1 && y < height - 2) {
+                y += gameRandom() < 0.5 ? 1 : -1;
             }
         }
         if (moveY && y !== end.y) {
             y += y < end.y ? 1 : -1;
             // Random wiggle
-            if (Math.random() < 0.3 && x > 1 && x < width - 2) {
-                x += Math.random() < 0.5 ? 1 : -1;
+            if (gameRandom() < 0.3 && x > 1 && x < width - 2) {
+                x += gameRandom() < 0.5 ? 1 : -1;
             }
         }
 
@@ -2903,62 +3377,304 @@ function findDistantPosition(fromX, fromY, minDist) {
     return randomElement(valid.slice(0, 10));
 }
 
+/**
+ * Finds a random valid position within maxDist tiles of a point, for spawning beside something
+ * @param {number} fromX - Origin X coordinate
+ * @param {number} fromY - Origin Y coordinate
+ * @param {number} maxDist - Maximum Manhattan distance from origin
+ * @returns {{x: number, y: number}|null} Valid nearby position (anywhere if none is close)
+ */
+function findNearbyPosition(fromX, fromY, maxDist) {
+    const valid = [];
+    for (let y = Math.max(1, fromY - maxDist); y <= Math.min(GRID_HEIGHT - 2, fromY + maxDist); y++) {
+        for (let x = Math.max(1, fromX - maxDist); x <= Math.min(GRID_WIDTH - 2, fromX + maxDist); x++) {
+            if (heuristic(x, y, fromX, fromY) <= maxDist && gameState.grid[y][x] === TILE.FLOOR && !isPositionOccupied(x, y)) {
+                valid.push({ x, y });
+            }
+        }
+    }
+    return valid.length ? randomElement(valid) : findValidPosition();
+}
+
 // ==========================================
 // PATHFINDING
 // ==========================================
 
+// Searches run on flat indices (y * GRID_WIDTH + x) over a typed walkability copy of the
+// grid, with scratch buffers reused between calls; a stamp per search marks which entries
+// are current, so nothing is cleared. Results are cached for the current tick, and chasing
+// monsters share one distance map toward the player instead of running A* each.
+
+const pathScratch = { size: 0, stamp: 0, seen: null, closed: null, g: null, from: null };
+const pathCache = { tick: -1, grid: null, paths: new Map() };
+const walkableGrid = { grid: null, width: 0, cells: null };
+const playerFlowField = { tick: -1, grid: null, x: -1, y: -1, dist: null, queue: null };
+let pathfindingTick = 0;
+
+/** Advance the tick that path and flow field caches are valid for; called once per update */
+function advancePathfindingTick() {
+    pathfindingTick++;
+}
+
+/**
+ * 1 for every non-wall tile, rebuilt when the floor changes (walls are fixed once generated)
+ * @returns {Uint8Array} Walkability by flat index
+ */
+function getWalkableGrid() {
+    if (walkableGrid.grid !== gameState.grid || walkableGrid.width !== GRID_WIDTH) {
+        const cells = new Uint8Array(GRID_WIDTH * GRID_HEIGHT);
+        for (let y = 0; y < GRID_HEIGHT; y++) {
+            for (let x = 0; x < GRID_WIDTH; x++) {
+                cells[y * GRID_WIDTH + x] = gameState.grid[y][x] === TILE.WALL ? 0 : 1;
+            }
+        }
+        Object.assign(walkableGrid, { grid: gameState.grid, width: GRID_WIDTH, cells });
+    }
+    return walkableGrid.cells;
+}
+
+/**
+ * Writes the in-bounds orthogonal neighbours of idx into out
+ * @returns {number} How many were written
+ */
+function getNeighborIndices(idx, out) {
+    const x = idx % GRID_WIDTH;
+    let count = 0;
+    if (x + 1 < GRID_WIDTH) out[count++] = idx + 1;
+    if (x > 0) out[count++] = idx - 1;
+    if (idx + GRID_WIDTH < GRID_WIDTH * GRID_HEIGHT) out[count++] = idx + GRID_WIDTH;
+    if (idx >= GRID_WIDTH) out[count++] = idx - GRID_WIDTH;
+    return count;
+}
+
+function getPathScratch() {
+    const size = GRID_WIDTH * GRID_HEIGHT;
+    if (pathScratch.size < size) {
+        pathScratch.size = size;
+        pathScratch.seen = new Uint32Array(size);
+        pathScratch.closed = new Uint32Array(size);
+        pathScratch.g = new Int32Array(size);
+        pathScratch.from = new Int32Array(size);
+        pathScratch.stamp = 0;
+    }
+    pathScratch.stamp++;
+    return pathScratch;
+}
+
+/** Binary min-heap of grid indices; each entry keeps the priority it was pushed with */
+function createIndexHeap() {
+    const keys = [];
+    const items = [];
+    return {
+        get size() { return items.length; },
+        push(idx, priority) {
+            let i = items.length;
+            while (i > 0) {
+                const parent = (i - 1) >> 1;
+                if (keys[parent] <= priority) break;
+                keys[i] = keys[parent];
+                items[i] = items[parent];
+                i = parent;
+            }
+            keys[i] = priority;
+            items[i] = idx;
+        },
+        pop() {
+            const top = items[0];
+            const lastKey = keys.pop();
+            const last = items.pop();
+            const n = items.length;
+            if (n > 0) {
+                let i = 0;
+                while (true) {
+                    let child = 2 * i + 1;
+                    if (child >= n) break;
+                    if (child + 1 < n && keys[child + 1] < keys[child]) child++;
+                    if (keys[child] >= lastKey) break;
+                    keys[i] = keys[child];
+                    items[i] = items[child];
+                    i = child;
+                }
+                keys[i] = lastKey;
+                items[i] = last;
+            }
+            return top;
+        }
+    };
+}
+
 /**
  * A* pathfinding algorithm to find shortest path between two points
  * @param {number} sx - Start X coordinate
  * @param {number} sy - Start Y coordinate
  * @param {number} ex - End X coordinate
  * @param {number} ey - End Y coordinate
- * @returns {Array<{x: number, y: number}>} Array of path coordinates (empty if no path)
+ * @returns {Array<{x: number, y: number}>} Array of path coordinates (empty if no path); shared with the tick cache, so don't mutate it
  */
 function findPath(sx, sy, ex, ey) {
-    const open = [{ x: sx, y: sy, g: 0, f: heuristic(sx, sy, ex, ey) }];
-    const closed = new Set();
-    const cameFrom = new Map();
-    const gScore = new Map();
-    gScore.set(`${sx},${sy}`, 0);
-
-    while (open.length) {
-        open.sort((a, b) => a.f - b.f);
-        const curr = open.shift();
-        const key = `${curr.x},${curr.y}`;
-
-        if (curr.x === ex && curr.y === ey) {
+    if (ex < 0 || ex >= GRID_WIDTH || ey < 0 || ey >= GRID_HEIGHT) return [];
+
+    if (pathCache.tick !== pathfindingTick || pathCache.grid !== gameState.grid) {
+        pathCache.tick = pathfindingTick;
+        pathCache.grid = gameState.grid;
+        pathCache.paths.clear();
+    }
+    const cacheKey = `${sx},${sy},${ex},${ey}`;
+    const cached = pathCache.paths.get(cacheKey);
+    if (cached) return cached;
+
+    const path = searchPath(sx, sy, ex, ey);
+    pathCache.paths.set(cacheKey, path);
+    return path;
+}
+
+function searchPath(sx, sy, ex, ey) {
+    const walkable = getWalkableGrid();
+    const { stamp, seen, closed, g, from } = getPathScratch();
+    const start = sy * GRID_WIDTH + sx;
+    const goal = ey * GRID_WIDTH + ex;
+    const open = createIndexHeap();
+    const neighbors = [0, 0, 0, 0];
+
+    seen[start] = stamp;
+    g[start] = 0;
+    from[start] = -1;
+    open.push(start, heuristic(sx, sy, ex, ey));
+
+    while (open.size > 0) {
+        const curr = open.pop();
+        if (closed[curr] === stamp) continue; // Stale entry left by a later improvement
+        if (curr === goal) {
             const path = [];
-            let k = `${ex},${ey}`;
-            while (cameFrom.has(k)) {
-                const [px, py] = k.split(',').map(Number);
-                path.unshift({ x: px, y: py });
-                k = cameFrom.get(k);
+            for (let idx = goal; idx !== start; idx = from[idx]) {
+                path.push({ x: idx % GRID_WIDTH, y: Math.floor(idx / GRID_WIDTH) });
+            }
+            return path.reverse();
+        }
+        closed[curr] = stamp;
+
+        const tg = g[curr] + 1;
+        const count = getNeighborIndices(curr, neighbors);
+        for (let i = 0; i < count; i++) {
+            const n = neighbors[i];
+            if (!walkable[n] || closed[n] === stamp) continue;
+            if (seen[n] !== stamp || tg < g[n]) {
+                seen[n] = stamp;
+                g[n] = tg;
+                from[n] = curr;
+                open.push(n, tg + heuristic(n % GRID_WIDTH, Math.floor(n / GRID_WIDTH), ex, ey));
             }
-            return path;
         }
+    }
+    return [];
+}
 
-        closed.add(key);
-        const neighbors = [{ x: curr.x + 1, y: curr.y }, { x: curr.x - 1, y: curr.y }, { x: curr.x, y: curr.y + 1 }, { x: curr.x, y: curr.y - 1 }];
+/**
+ * Breadth-first distance map from the player over walkable tiles. Built at most once
+ * per tick (and again only if the player moves), then shared by all chasing monsters.
+ * @returns {Int32Array} Steps to the player per grid index, -1 where unreachable
+ */
+function getPlayerFlowField() {
+    const ff = playerFlowField;
+    const { x, y } = gameState.player;
+    if (ff.tick === pathfindingTick && ff.grid === gameState.grid && ff.x === x && ff.y === y) return ff.dist;
+
+    const walkable = getWalkableGrid();
+    const size = GRID_WIDTH * GRID_HEIGHT;
+    if (!ff.dist || ff.dist.length !== size) {
+        ff.dist = new Int32Array(size);
+        ff.queue = new Int32Array(size);
+    }
+    ff.dist.fill(-1);
+    Object.assign(ff, { tick: pathfindingTick, grid: gameState.grid, x, y });
+
+    const { dist, queue } = ff;
+    const neighbors = [0, 0, 0, 0];
+    const start = y * GRID_WIDTH + x;
+    let head = 0, tail = 0;
+    dist[start] = 0;
+    queue[tail++] = start;
+    while (head < tail) {
+        const curr = queue[head++];
+        const count = getNeighborIndices(curr, neighbors);
+        for (let i = 0; i < count; i++) {
+            const n = neighbors[i];
+            if (dist[n] !== -1 || !walkable[n]) continue;
+            dist[n] = dist[curr] + 1;
+            queue[tail++] = n;
+        }
+    }
+    return dist;
+}
 
-        for (const n of neighbors) {
-            const nk = `${n.x},${n.y}`;
-            if (n.x < 0 || n.x >= GRID_WIDTH || n.y < 0 || n.y >= GRID_HEIGHT) continue;
-            if (gameState.grid[n.y][n.x] === TILE.WALL) continue;
-            if (closed.has(nk)) continue;
+/**
+ * Next tile toward the player along the shared flow field
+ * @param {Set<number>} [occupied] - Grid indices to route around when another closer tile is free
+ * @returns {{x: number, y: number}|null} Neighbouring tile one step closer, or null if cut off
+ */
+function getStepTowardPlayer(x, y, occupied) {
+    const dist = getPlayerFlowField();
+    const idx = y * GRID_WIDTH + x;
+    const here = dist[idx] === -1 ? Infinity : dist[idx];
+    let best = -1;
+    let bestDist = Infinity;
+    let bestFree = false;
+    const neighbors = [0, 0, 0, 0];
+    const count = getNeighborIndices(idx, neighbors);
+    for (let i = 0; i < count; i++) {
+        const n = neighbors[i];
+        if (dist[n] === -1 || dist[n] >= here) continue;
+        const free = !occupied || !occupied.has(n);
+        if ((free && !bestFree) || (free === bestFree && dist[n] < bestDist)) {
+            best = n;
+            bestDist = dist[n];
+            bestFree = free;
+        }
+    }
+    return best === -1 ? null : { x: best % GRID_WIDTH, y: Math.floor(best / GRID_WIDTH) };
+}
 
-            const tg = gScore.get(key) + 1;
-            if (!gScore.has(nk) || tg < gScore.get(nk)) {
-                cameFrom.set(nk, key);
-                gScore.set(nk, tg);
-                const f = tg + heuristic(n.x, n.y, ex, ey);
-                if (!open.find(o => o.x === n.x && o.y === n.y)) {
-                    open.push({ x: n.x, y: n.y, g: tg, f });
-                }
-            }
+/**
+ * Next tile away from the player along the shared flow field
+ * @returns {{x: number, y: number}|null} Neighbouring tile one step further, or null if cornered
+ */
+function getStepAwayFromPlayer(x, y) {
+    const dist = getPlayerFlowField();
+    const idx = y * GRID_WIDTH + x;
+    if (dist[idx] === -1) return null;
+    let best = -1;
+    let bestDist = dist[idx];
+    const neighbors = [0, 0, 0, 0];
+    const count = getNeighborIndices(idx, neighbors);
+    for (let i = 0; i < count; i++) {
+        const n = neighbors[i];
+        if (dist[n] > bestDist) {
+            best = n;
+            bestDist = dist[n];
         }
     }
-    return [];
+    return best === -1 ? null : { x: best % GRID_WIDTH, y: Math.floor(best / GRID_WIDTH) };
+}
+
+/**
+ * Whether a straight line between two tiles is clear of walls (Bresenham)
+ * @returns {boolean} True if no wall tile lies between the endpoints
+ */
+function hasLineOfSight(x0, y0, x1, y1) {
+    const dx = Math.abs(x1 - x0);
+    const dy = Math.abs(y1 - y0);
+    const sx = x0 < x1 ? 1 : -1;
+    const sy = y0 < y1 ? 1 : -1;
+    let err = dx - dy;
+    let x = x0;
+    let y = y0;
+    while (x !== x1 || y !== y1) {
+        const e2 = err * 2;
+        if (e2 > -dy) { err -= dy; x += sx; }
+        if (e2 < dx) { err += dx; y += sy; }
+        if ((x !== x1 || y !== y1) && gameState.grid[y][x] === TILE.WALL) return false;
+    }
+    return true;
 }
 
 /**
@@ -3004,8 +3720,10 @@ function initializeMonsterState(monster, pos) {
  * Handles boss floors (every 10), mini-boss floors (every 5), and regular floors
  */
 function spawnMonsters() {
+    seedFloorRng('monsters');
     const floor = gameState.run.floor;
-    const isBoss = floor % CONFIG.BOSS_FLOOR_INTERVAL === 0;
+    const bossRush = isBossRush();
+    const isBoss = bossRush || floor % CONFIG.BOSS_FLOOR_INTERVAL === 0;
     const isMiniBoss = !isBoss && floor % CONFIG.MINI_BOSS_FLOOR_INTERVAL === 0 && floor > 0;
 
     // Scale monster count with map area
@@ -3022,7 +3740,7 @@ function spawnMonsters() {
 
         let monster;
         if (isBoss && i === 0) {
-            monster = generateMonster(floor, true, false);
+            monster = bossRush ? generateBossRushBoss(floor) : generateMonster(floor, true, false);
         } else if (isMiniBoss && i === 0) {
             monster = generateMiniBoss(floor);
         } else {
@@ -3055,12 +3773,13 @@ function spawnMonsters() {
  */
 function generateMiniBoss(floor) {
     const type = randomElement(MINI_BOSS_TYPES);
-    const baseHp = 40 + floor * 8;
-    const baseAtk = 5 + floor * 2;
-    const baseDef = 2 + Math.floor(floor * 0.8);
+    const scaling = getEndlessScaling(floor);
+    const baseHp = (40 + floor * 8) * scaling;
+    const baseAtk = (5 + floor * 2) * scaling;
+    const baseDef = (2 + Math.floor(floor * 0.8)) * scaling;
     const baseSpd = 0.8 + floor * 0.02;
 
-    return {
+    return applyGameModeModifiers({
         name: type.name,
         maxHp: Math.floor(baseHp * type.hpMult),
         currentHp: Math.floor(baseHp * type.hpMult),
@@ -3075,41 +3794,32 @@ function generateMiniBoss(floor) {
         color: type.color,
         abilityTimer: 0,
         shield: 0 // for Guardian type
-    };
+    });
 }
 
-function generateMonster(floor, isBoss, isElite) {
-    const baseHp = 40 + floor * 8;
-    const baseAtk = 5 + floor * 2;
-    const baseDef = 2 + Math.floor(floor * 0.8);
+/**
+ * Generates a floor monster, or the floor's boss
+ * @param {number} floor - Floor number for stat scaling
+ * @param {boolean} isBoss - Generate the boss for this floor instead
+ * @param {boolean} isElite - Elite variant (stronger, more XP)
+ * @param {Object} [forcedType] - MONSTER_TYPES entry to use instead of a random one
+ * @returns {Object} Monster object
+ */
+function generateMonster(floor, isBoss, isElite, forcedType) {
+    const scaling = getEndlessScaling(floor);
+    const baseHp = (40 + floor * 8) * scaling;
+    const baseAtk = (5 + floor * 2) * scaling;
+    const baseDef = (2 + Math.floor(floor * 0.8)) * scaling;
     const baseSpd = 0.8 + floor * 0.02;
 
     if (isBoss) {
-        const idx = Math.min(Math.floor(floor / 10) - 1, BOSS_TYPES.length - 1);
-        const bossType = BOSS_TYPES[idx];
-        const baseMonster = MONSTER_TYPES.find(m => m.name === bossType.baseType) || MONSTER_TYPES[0];
-        return {
-            name: bossType.name,
-            maxHp: Math.floor(baseHp * 3),
-            currentHp: Math.floor(baseHp * 3),
-            attack: Math.floor(baseAtk * 1.8),
-            defense: Math.floor(baseDef * 1.5),
-            speed: baseSpd * 0.8,
-            isBoss: true,
-            isElite: false,
-            xpReward: Math.floor(50 + floor * 8),
-            color: '#8a2a2a',
-            icon: bossType.icon,
-            baseIcon: baseMonster.icon,
-            shape: baseMonster.shape || 'humanoid',
-            abilities: getBossAbilities(floor)
-        };
+        return generateBoss(floor, Math.min(Math.floor(floor / 10) - 1, BOSS_TYPES.length - 1));
     }
 
-    const type = MONSTER_TYPES[Math.floor(Math.random() * MONSTER_TYPES.length)];
+    const type = forcedType || MONSTER_TYPES[Math.floor(gameRandom() * MONSTER_TYPES.length)];
     const mult = isElite ? 1.5 : 1;
 
-    return {
+    return applyGameModeModifiers({
         name: (isElite ? 'Elite ' : '') + type.name,
         maxHp: Math.floor(baseHp * type.hpMult * mult),
         currentHp: Math.floor(baseHp * type.hpMult * mult),
@@ -3122,86 +3832,171 @@ function generateMonster(floor, isBoss, isElite) {
         color: isElite ? '#9b59b6' : type.color,
         icon: type.icon,
         shape: type.shape || 'humanoid',
-        canPoison: type.canPoison
-    };
+        canPoison: type.canPoison,
+        behavior: type.behavior || 'melee',
+        ambushing: type.behavior === 'ambush'
+    });
+}
+
+/**
+ * Generates a boss monster from BOSS_TYPES
+ * @param {number} floor - Floor number for stat scaling
+ * @param {number} bossIndex - Index into BOSS_TYPES
+ * @returns {Object} Boss monster object
+ */
+function generateBoss(floor, bossIndex) {
+    const scaling = getEndlessScaling(floor);
+    const baseHp = (40 + floor * 8) * scaling;
+    const baseAtk = (5 + floor * 2) * scaling;
+    const baseDef = (2 + Math.floor(floor * 0.8)) * scaling;
+    const baseSpd = 0.8 + floor * 0.02;
+
+    const bossType = BOSS_TYPES[bossIndex];
+    const baseMonster = MONSTER_TYPES.find(m => m.name === bossType.baseType) || MONSTER_TYPES[0];
+    return applyGameModeModifiers({
+        name: bossType.name,
+        maxHp: Math.floor(baseHp * 3),
+        currentHp: Math.floor(baseHp * 3),
+        attack: Math.floor(baseAtk * 1.8),
+        defense: Math.floor(baseDef * 1.5),
+        speed: baseSpd * 0.8,
+        isBoss: true,
+        isElite: false,
+        xpReward: Math.floor(50 + floor * 8),
+        color: '#8a2a2a',
+        icon: bossType.icon,
+        baseIcon: baseMonster.icon,
+        shape: baseMonster.shape || 'humanoid',
+        bossType: bossType.name,
+        phase: 0,
+        moveIndex: 0,
+        moveCooldown: 3,
+        casting: false
+    });
 }
 
-function getBossAbilities(floor) {
-    const abilities = [];
-    if (floor >= 10) abilities.push({ type: 'aoe', damage: 0.3, cooldown: 8, timer: 0 });
-    if (floor >= 20) abilities.push({ type: 'summon', count: 2, cooldown: 15, timer: 0 });
-    if (floor >= 30) abilities.push({ type: 'heal', amount: 0.1, cooldown: 12, timer: 0 });
-    return abilities;
+// Floors of boss stats a Boss Rush boss gains per arena
+const BOSS_RUSH_FLOORS_PER_ARENA = 1;
+// Boss HP and attack in the first arena, relative to a normal boss
+const BOSS_RUSH_OPENING_MULT = 0.6;
+
+/**
+ * Boss Rush cycles through BOSS_TYPES one arena at a time. Stats start at a floor-1
+ * boss and climb BOSS_RUSH_FLOORS_PER_ARENA floors per arena, so a fresh hero can
+ * win the first arenas and every lap still hits harder.
+ * @param {number} floor - Current Boss Rush arena
+ * @returns {Object} Boss monster object
+ */
+function generateBossRushBoss(floor) {
+    const bossFloor = 1 + (floor - 1) * BOSS_RUSH_FLOORS_PER_ARENA;
+    const boss = generateBoss(bossFloor, (floor - 1) % BOSS_TYPES.length);
+    // The opening arenas are also softened, easing in to full boss stats by arena 5
+    const ramp = Math.min(1, BOSS_RUSH_OPENING_MULT + (floor - 1) * (1 - BOSS_RUSH_OPENING_MULT) / 4);
+    boss.maxHp = boss.currentHp = Math.floor(boss.maxHp * ramp);
+    boss.attack = Math.floor(boss.attack * ramp);
+    boss.xpReward = Math.floor(boss.xpReward * getBossRewardMult());
+    return boss;
 }
 
 // ==========================================
 // STAT CALCULATIONS
 // ==========================================
 
-function calculatePlayerStats() {
+const PLAYER_STAT_KEYS = ['maxHp', 'attack', 'defense', 'speed', 'evasion', 'critChance', 'critDamage'];
+
+/**
+ * Calculates the player's stats by stacking every source in a fixed order.
+ * Each change is recorded as { stat, source, op: 'base'|'add'|'mult'|'cap', value, before, after }
+ * so the stats panel can explain how a total was reached.
+ * @param {Object} [options]
+ * @param {boolean} [options.trace] - Also return the provenance trace as `trace`
+ * @returns {Object} Stat totals (plus `trace` when requested)
+ */
+function calculatePlayerStats(options = {}) {
     const r = gameState.run || { level: 1, equipment: null };
     const u = gameState.upgrades;
     const items = gameState.specialItems;
-    const classData = CLASSES[gameState.selectedClass] || { hpMult: 1, atkMult: 1, defMult: 1, spdMult: 1, evaMult: 1, critMult: 1 };
+    const classData = CLASSES[gameState.selectedClass] || { name: 'Class', hpMult: 1, atkMult: 1, defMult: 1, spdMult: 1, evaMult: 1, critMult: 1 };
     const pm = gameState.prestigeMultiplier;
     const ascension = getAscensionTier();
     const ascMult = ascension.bonus?.statMult || 1;
 
-    let s = {
-        maxHp: (BASE_STATS.maxHp + u.maxHp * UPGRADE_CONFIG.maxHp.value) * classData.hpMult * pm * ascMult,
-        attack: (BASE_STATS.attack + u.attack * UPGRADE_CONFIG.attack.value) * classData.atkMult * pm * ascMult,
-        defense: (BASE_STATS.defense + u.defense * UPGRADE_CONFIG.defense.value) * classData.defMult * pm * ascMult,
-        speed: (BASE_STATS.speed + u.speed * UPGRADE_CONFIG.speed.value) * classData.spdMult,
-        evasion: (BASE_STATS.evasion + u.evasion * UPGRADE_CONFIG.evasion.value) * classData.evaMult,
-        critChance: (BASE_STATS.critChance + u.critChance * UPGRADE_CONFIG.critChance.value) * classData.critMult,
-        critDamage: BASE_STATS.critDamage
+    const s = {};
+    const trace = [];
+    const record = (stat, source, op, value, before) => {
+        trace.push({ stat, source, op, value, before, after: s[stat] });
     };
+    const base = (stat, value) => {
+        s[stat] = value;
+        record(stat, 'Base', 'base', value, 0);
+    };
+    const add = (stat, source, value) => {
+        if (!value) return;
+        const before = s[stat];
+        s[stat] += value;
+        record(stat, source, 'add', value, before);
+    };
+    const mult = (stat, source, factor) => {
+        if (factor === 1) return;
+        const before = s[stat];
+        s[stat] *= factor;
+        record(stat, source, 'mult', factor, before);
+    };
+    const mainStats = (source, factor) => ['maxHp', 'attack', 'defense'].forEach(stat => mult(stat, source, factor));
+
+    // Base stats, permanent upgrades, class, prestige and ascension
+    PLAYER_STAT_KEYS.forEach(stat => {
+        base(stat, BASE_STATS[stat]);
+        if (UPGRADE_CONFIG[stat]) add(stat, 'Upgrades', u[stat] * UPGRADE_CONFIG[stat].value);
+    });
+    mult('maxHp', classData.name, classData.hpMult);
+    mult('attack', classData.name, classData.atkMult);
+    mult('defense', classData.name, classData.defMult);
+    mult('speed', classData.name, classData.spdMult);
+    mult('evasion', classData.name, classData.evaMult);
+    mult('critChance', classData.name, classData.critMult);
+    mainStats('Prestige', pm);
+    mainStats(`Ascension: ${ascension.name || 'None'}`, ascMult);
 
     // Relic bonuses
     const relicBonuses = getRelicBonuses();
-    if (relicBonuses.allStats > 0) {
-        s.maxHp *= (1 + relicBonuses.allStats);
-        s.attack *= (1 + relicBonuses.allStats);
-        s.defense *= (1 + relicBonuses.allStats);
-    }
-    if (relicBonuses.critMultiplier) s.critDamage += relicBonuses.critMultiplier * 100;
+    if (relicBonuses.allStats > 0) mainStats('Relics', 1 + relicBonuses.allStats);
+    if (relicBonuses.critMultiplier) add('critDamage', 'Relics', relicBonuses.critMultiplier * 100);
+    if (relicBonuses.speedBonus) mult('speed', 'Relics', 1 + relicBonuses.speedBonus);
 
     // Synergy bonuses
     const synergyBonuses = getSynergyBonuses();
-    if (synergyBonuses.attack > 0) s.attack *= (1 + synergyBonuses.attack);
-    if (synergyBonuses.defense > 0) s.defense *= (1 + synergyBonuses.defense);
-    if (synergyBonuses.critChance > 0) s.critChance += synergyBonuses.critChance;
-    if (synergyBonuses.critDamage > 0) s.critDamage += synergyBonuses.critDamage;
-    if (synergyBonuses.allStats > 0) {
-        s.maxHp *= (1 + synergyBonuses.allStats);
-        s.attack *= (1 + synergyBonuses.allStats);
-        s.defense *= (1 + synergyBonuses.allStats);
-    }
+    if (synergyBonuses.attack > 0) mult('attack', 'Synergies', 1 + synergyBonuses.attack);
+    if (synergyBonuses.defense > 0) mult('defense', 'Synergies', 1 + synergyBonuses.defense);
+    if (synergyBonuses.critChance > 0) add('critChance', 'Synergies', synergyBonuses.critChance);
+    if (synergyBonuses.critDamage > 0) add('critDamage', 'Synergies', synergyBonuses.critDamage);
+    if (synergyBonuses.allStats > 0) mainStats('Synergies', 1 + synergyBonuses.allStats);
 
     // Level bonuses
     const lvl = (r.level || 1) - 1;
-    s.maxHp += lvl * 10;
-    s.attack += lvl * 2;
-    s.defense += lvl * 1;
+    const levelSource = `Level ${r.level || 1}`;
+    add('maxHp', levelSource, lvl * 10);
+    add('attack', levelSource, lvl * 2);
+    add('defense', levelSource, lvl * 1);
 
     // Special items
-    if (items.lifeCrystal) s.maxHp *= 1.1;
-    if (items.warriorsBlade) s.attack *= 1.15;
-    if (items.guardianShield) s.defense *= 1.15;
-    if (items.swiftBoots) s.speed *= 1.2;
-    if (items.shadowCloak) s.evasion *= 1.1;
+    if (items.lifeCrystal) mult('maxHp', 'Life Crystal', 1.1);
+    if (items.warriorsBlade) mult('attack', "Warrior's Blade", 1.15);
+    if (items.guardianShield) mult('defense', 'Guardian Shield', 1.15);
+    if (items.swiftBoots) mult('speed', 'Swift Boots', 1.2);
+    if (items.shadowCloak) mult('evasion', 'Shadow Cloak', 1.1);
 
     // Equipment
     if (r && r.equipment) {
         Object.values(r.equipment).forEach(eq => {
             if (eq) {
-                if (eq.hp) s.maxHp += eq.hp;
-                if (eq.atk) s.attack += eq.atk;
-                if (eq.def) s.defense += eq.def;
-                if (eq.spd) s.speed += eq.spd;
-                if (eq.eva) s.evasion += eq.eva;
-                if (eq.crit) s.critChance += eq.crit;
-                if (eq.critDmg) s.critDamage += eq.critDmg;
+                add('maxHp', eq.name, eq.hp);
+                add('attack', eq.name, eq.atk);
+                add('defense', eq.name, eq.def);
+                add('speed', eq.name, eq.spd);
+                add('evasion', eq.name, eq.eva);
+                add('critChance', eq.name, eq.crit);
+                add('critDamage', eq.name, eq.critDmg);
             }
         });
     }
@@ -3210,14 +4005,12 @@ function calculatePlayerStats() {
     if (gameState.activePet) {
         const pet = PET_TYPES.find(p => p.id === gameState.activePet);
         if (pet) {
-            if (pet.atkBonus) s.attack *= (1 + pet.atkBonus);
-            if (pet.defBonus) s.defense *= (1 + pet.defBonus);
-            if (pet.critBonus) s.critChance += pet.critBonus;
+            if (pet.atkBonus) mult('attack', pet.name, 1 + pet.atkBonus);
+            if (pet.defBonus) mult('defense', pet.name, 1 + pet.defBonus);
+            if (pet.critBonus) add('critChance', pet.name, pet.critBonus);
             if (pet.allBonus) {
-                s.maxHp *= (1 + pet.allBonus);
-                s.attack *= (1 + pet.allBonus);
-                s.defense *= (1 + pet.allBonus);
-                s.speed *= (1 + pet.allBonus);
+                mainStats(pet.name, 1 + pet.allBonus);
+                mult('speed', pet.name, 1 + pet.allBonus);
             }
         }
     }
@@ -3225,24 +4018,43 @@ function calculatePlayerStats() {
     // Run buffs from shrines/altars
     if (gameState.runBuffs) {
         gameState.runBuffs.forEach(buff => {
-            if (buff.stat === 'attack') s.attack *= (1 + buff.value);
-            else if (buff.stat === 'defense') s.defense *= (1 + buff.value);
-            else if (buff.stat === 'speed') s.speed *= (1 + buff.value);
-            else if (buff.stat === 'critChance') s.critChance += buff.value;
-            else if (buff.stat === 'critDamage') s.critDamage += buff.value;
-            else if (buff.stat === 'maxHp') s.maxHp += buff.value;
+            const source = buff.source || 'Run Buff';
+            if (buff.stat === 'attack') mult('attack', source, 1 + buff.value);
+            else if (buff.stat === 'defense') mult('defense', source, 1 + buff.value);
+            else if (buff.stat === 'speed') mult('speed', source, 1 + buff.value);
+            else if (buff.stat === 'critChance') add('critChance', source, buff.value);
+            else if (buff.stat === 'critDamage') add('critDamage', source, buff.value);
+            else if (buff.stat === 'maxHp') add('maxHp', source, buff.value);
         });
     }
 
+    // Weather, time of day and enchantments
+    getEnvironmentStatModifiers().forEach(mod => {
+        if (mod.mult) mult(mod.stat, mod.source, mod.mult);
+        if (mod.add) add(mod.stat, mod.source, mod.add);
+    });
+
     s.maxHp = Math.floor(s.maxHp);
     s.attack = Math.floor(s.attack);
     s.defense = Math.floor(s.defense);
     s.speed = Math.round(s.speed * 100) / 100;
-    s.evasion = Math.min(75, Math.floor(s.evasion));
-    s.critChance = Math.min(100, Math.floor(s.critChance));
+    s.evasion = Math.floor(s.evasion);
+    s.critChance = Math.floor(s.critChance);
     s.critDamage = Math.floor(s.critDamage);
 
-    return s;
+    // Hard caps
+    if (s.evasion > 75) {
+        const before = s.evasion;
+        s.evasion = 75;
+        record('evasion', 'Evasion cap', 'cap', 75, before);
+    }
+    if (s.critChance > 100) {
+        const before = s.critChance;
+        s.critChance = 100;
+        record('critChance', 'Crit cap', 'cap', 100, before);
+    }
+
+    return options.trace ? { ...s, trace } : s;
 }
 
 function getXpNeeded(level) {
@@ -3265,7 +4077,7 @@ function calculateDamage(attacker, defender, isCrit) {
 }
 
 function checkEvasion(defender) {
-    return Math.random() * 100 < (defender.evasion || 0);
+    return gameRandom() * 100 < (defender.evasion || 0);
 }
 
 function playerAttack(monster) {
@@ -3275,14 +4087,16 @@ function playerAttack(monster) {
     const stunned = gameState.run.statusEffects.find(e => e.type === 'stun');
     if (stunned) return;
 
-    if (checkEvasion(monster)) {
+    // Sandstorm lowers accuracy, which works like extra monster evasion
+    if (gameRandom() * 100 < (monster.evasion || 0) - getWeatherStatModifier('accuracy')) {
         showDamageNumber(monster.x, monster.y, 'DODGE', 'dodge', false);
         addLog(`${monster.name} dodged your attack!`, 'dodge');
         return;
     }
 
-    const isCrit = Math.random() * 100 < gameState.run.critChance;
-    let dmg = calculateDamage(gameState.run, monster, isCrit);
+    const isCrit = gameRandom() * 100 < gameState.run.critChance;
+    const dodgeMult = gameState.perfectDodgeActive ? DODGE_CONFIG.perfectDodgeBonus : 1;
+    let dmg = Math.floor(calculateDamage(gameState.run, monster, isCrit) * getRelicDamageMult(monster) * getEnchantmentDamageMult() * dodgeMult);
 
     // Handle Guardian shield
     if (monster.shield && monster.shield > 0) {
@@ -3309,22 +4123,16 @@ function playerAttack(monster) {
         // Log damage for DPS meter
         logDamage(dmg, 'player');
 
-        // Lifesteal from relics
-        const relicBonuses = getRelicBonuses();
-        if (relicBonuses.lifesteal > 0) {
-            const healAmt = Math.floor(dmg * relicBonuses.lifesteal);
-            if (healAmt > 0) {
-                gameState.run.currentHp = Math.min(gameState.run.maxHp, gameState.run.currentHp + healAmt);
-                gameState.stats.totalHealing += healAmt;
-            }
-        }
+        // Relic and enchantment on-hit effects (lifesteal, chain lightning, burn, freeze)
+        runRelicHooks('onHit', { monster, damage: dmg });
+        applyEnchantmentsOnHit(monster, dmg);
     }
 
     // Visual effects
     const mx = monster.x * TILE_SIZE + TILE_SIZE / 2;
     const my = monster.y * TILE_SIZE + TILE_SIZE / 2;
     addVisualEffect('attack', mx, my, 0.3, { radius: TILE_SIZE * 0.6, color: isCrit ? '#ff4444' : '#ffd700' });
-    addVisualEffect('hit', mx, my, 0.4, { radius: TILE_SIZE, color: '#ffd700', angle: Math.random() * Math.PI * 2 });
+    addVisualEffect('hit', mx, my, 0.4, { radius: TILE_SIZE, color: '#ffd700', angle: visualRandom() * Math.PI * 2 });
 
     // Hit flash effect
     addHitFlash(monster.x * TILE_SIZE, monster.y * TILE_SIZE, isCrit ? '#ff4444' : '#ffffff', TILE_SIZE);
@@ -3339,7 +4147,7 @@ function playerAttack(monster) {
     }
 
     // Poison chance for certain attacks
-    if (gameState.selectedClass === 'rogue' && Math.random() < 0.15) {
+    if (gameState.selectedClass === 'rogue' && gameRandom() < 0.15) {
         applyStatus(monster, 'poison');
     }
 
@@ -3360,14 +4168,16 @@ function playerAttackWithMult(monster, damageMult = 1.0, classData = null, isSec
 
     // Ranged attacks have lower evasion chance (harder to dodge)
     const evasionMod = classData.attackType === 'magic' ? 0.5 : (classData.attackType === 'ranged' ? 0.7 : 1.0);
-    if (Math.random() < (monster.evasion || 0) / 100 * evasionMod) {
+    const monsterEvasion = (monster.evasion || 0) - getWeatherStatModifier('accuracy');
+    if (gameRandom() < monsterEvasion / 100 * evasionMod) {
         showDamageNumber(monster.x, monster.y, 'DODGE', 'dodge', false);
         addLog(`${monster.name} dodged your attack!`, 'dodge');
         return;
     }
 
-    const isCrit = Math.random() * 100 < gameState.run.critChance;
-    let dmg = Math.floor(calculateDamage(gameState.run, monster, isCrit) * damageMult);
+    const isCrit = gameRandom() * 100 < gameState.run.critChance;
+    const dodgeMult = gameState.perfectDodgeActive ? DODGE_CONFIG.perfectDodgeBonus : 1;
+    let dmg = Math.floor(calculateDamage(gameState.run, monster, isCrit) * damageMult * getRelicDamageMult(monster) * getEnchantmentDamageMult() * dodgeMult);
 
     // Handle Guardian shield
     if (monster.shield && monster.shield > 0) {
@@ -3411,15 +4221,9 @@ function playerAttackWithMult(monster, damageMult = 1.0, classData = null, isSec
             addLog(isCrit ? `CRIT! ${classData.attackType === 'magic' ? 'Magic blast' : 'You hit'} ${monster.name} for ${dmg}!` : `${classData.attackType === 'magic' ? 'Magic blast hits' : 'You hit'} ${monster.name} for ${dmg}.`, isCrit ? 'crit' : 'player-action');
         }
 
-        // Lifesteal from relics
-        const relicBonuses = getRelicBonuses();
-        if (relicBonuses.lifesteal > 0) {
-            const healAmt = Math.floor(dmg * relicBonuses.lifesteal);
-            if (healAmt > 0) {
-                gameState.run.currentHp = Math.min(gameState.run.maxHp, gameState.run.currentHp + healAmt);
-                gameState.stats.totalHealing += healAmt;
-            }
-        }
+        // Relic and enchantment on-hit effects (lifesteal, chain lightning, burn, freeze)
+        runRelicHooks('onHit', { monster, damage: dmg });
+        applyEnchantmentsOnHit(monster, dmg);
     }
 
     // Visual effects based on attack type
@@ -3441,13 +4245,13 @@ function playerAttackWithMult(monster, damageMult = 1.0, classData = null, isSec
     }
 
     addHitFlash(monster.x * TILE_SIZE, monster.y * TILE_SIZE, isCrit ? '#ff4444' : (classData.projectileColor || '#ffffff'), TILE_SIZE);
-    addVisualEffect('hit', mx, my, 0.4, { radius: TILE_SIZE, color: classData.projectileColor || '#ffd700', angle: Math.random() * Math.PI * 2 });
+    addVisualEffect('hit', mx, my, 0.4, { radius: TILE_SIZE, color: classData.projectileColor || '#ffd700', angle: visualRandom() * Math.PI * 2 });
 
     // Sound effects
     playSound(isCrit ? 'crit' : 'hit');
 
     // Poison chance for rogues
-    if (gameState.selectedClass === 'rogue' && Math.random() < 0.2) {
+    if (gameState.selectedClass === 'rogue' && gameRandom() < 0.2) {
         applyStatus(monster, 'poison');
         spawnParticles(mx, my, 'poison', 5);
     }
@@ -3459,6 +4263,7 @@ function playerAttackWithMult(monster, damageMult = 1.0, classData = null, isSec
 
 // Create projectile visual effect
 function createProjectileEffect(fromX, fromY, toX, toY, classData) {
+    if (HEADLESS) return;
     const projectileCount = classData.attackType === 'magic' ? 1 : 3; // Magic: 1 orb, Ranged: 3 knives
 
     for (let i = 0; i < projectileCount; i++) {
@@ -3495,39 +4300,535 @@ function createProjectileEffect(fromX, fromY, toX, toY, classData) {
     }
 }
 
-function monsterAttack(monster) {
-    if (!monster || monster.currentHp <= 0 || !gameState.gameRunning) return;
+// ==========================================
+// BOSS MOVESETS
+// ==========================================
 
-    // Check freeze/stun
-    const frozen = monster.statusEffects?.find(e => e.type === 'freeze');
-    const stunned = monster.statusEffects?.find(e => e.type === 'stun');
-    if (stunned) return;
+function getBossType(boss) {
+    return BOSS_TYPES.find(b => b.name === (boss.bossType || boss.name)) || null;
+}
 
-    const speedMod = frozen ? 0.5 : 1;
-    if (Math.random() > speedMod) return; // Slowed
+/**
+ * Runs a boss's scripted moveset: moves it into the next phase as its HP drops, then
+ * starts the next move of that phase once the last one has landed and cooled down
+ * @param {Object} boss - Boss monster
+ * @param {number} distToPlayer - Manhattan distance to the player
+ * @param {number} dt - Delta time in seconds
+ */
+function updateBossMoveset(boss, distToPlayer, dt) {
+    const phases = getBossType(boss)?.phases;
+    if (!phases) return;
 
-    if (checkEvasion(gameState.run)) {
-        showDamageNumber(gameState.player.x, gameState.player.y, 'DODGE', 'dodge', false);
-        addLog(`You dodged ${monster.name}'s attack!`, 'dodge');
-        return;
+    boss.phase = boss.phase || 0;
+    while (boss.phase + 1 < phases.length && boss.currentHp <= boss.maxHp * phases[boss.phase + 1].below) {
+        boss.phase++;
+        enterBossPhase(boss, phases[boss.phase]);
     }
 
-    const dmg = calculateDamage(monster, gameState.run, false);
-    gameState.run.currentHp -= dmg;
+    // Keeps cooling down through the boss's ordinary telegraphed swings
+    boss.moveCooldown = (boss.moveCooldown || 0) - dt;
+    if (boss.casting || boss.moveCooldown > 0 || distToPlayer > BOSS_MOVE_RANGE) return;
 
-    // Visual effects - screen shake and hit effect
-    gameState.screenShake = Math.min(8, gameState.screenShake + 4);
-    const px = gameState.player.x * TILE_SIZE + TILE_SIZE / 2;
-    const py = gameState.player.y * TILE_SIZE + TILE_SIZE / 2;
-    addVisualEffect('hit', px, py, 0.3, { radius: TILE_SIZE * 0.8, color: '#ff4444', angle: Math.random() * Math.PI * 2 });
+    // Moves with nothing to aim at are skipped
+    const moves = phases[boss.phase].moves;
+    for (let i = 0; i < moves.length; i++) {
+        const move = BOSS_MOVES[moves[(boss.moveIndex || 0) % moves.length]];
+        boss.moveIndex = (boss.moveIndex || 0) + 1;
+        if (startBossMove(boss, move)) return;
+    }
+}
 
-    // Red flash when taking damage (intensity based on damage percentage)
-    const dmgPercent = dmg / gameState.run.maxHp;
-    addScreenFlash('#ff0000', Math.min(0.4, 0.1 + dmgPercent * 0.5), 0.15);
+function enterBossPhase(boss, phase) {
+    boss.moveIndex = 0;
+    boss.moveCooldown = Math.min(boss.moveCooldown || 0, 1);
+    addLog(`${boss.name} enters phase ${boss.phase + 1}!`, 'monster-action');
+    gameState.screenShake = Math.min(12, gameState.screenShake + 6);
+    addScreenFlash('#ffffff', 0.25, 0.2);
+    addVisualEffect('levelup', boss.x * TILE_SIZE + TILE_SIZE / 2, boss.y * TILE_SIZE + TILE_SIZE / 2, 0.6);
+
+    switch (phase.event) {
+        case 'split':
+            spawnBossMinions(boss, 2, { name: 'Royal Slime', maxHp: Math.floor(boss.maxHp * 0.25) });
+            addLog(`${boss.name} splits apart!`, 'monster-action');
+            break;
+        case 'rally':
+            spawnBossMinions(boss, 3);
+            addLog(`${boss.name} sounds the war horn!`, 'monster-action');
+            break;
+        case 'brood':
+            spawnBossMinions(boss, 3);
+            addLog(`${boss.name} calls its brood!`, 'monster-action');
+            break;
+        case 'boneArmor':
+            boss.shield = boss.maxShield = Math.floor(boss.maxHp * 0.25);
+            addLog(`${boss.name} wraps itself in bone armor!`, 'monster-action');
+            break;
+        case 'enrage':
+            boss.attack = Math.floor(boss.attack * 1.5);
+            boss.speed *= 1.3;
+            addLog(`${boss.name} becomes enraged!`, 'monster-action');
+            break;
+        case 'vanish': {
+            const pos = findDistantPosition(gameState.player.x, gameState.player.y, 4);
+            if (pos) {
+                boss.x = pos.x;
+                boss.y = pos.y;
+            }
+            addLog(`${boss.name} vanishes into the shadows!`, 'monster-action');
+            break;
+        }
+        case 'regenerate': {
+            const healAmt = Math.floor(boss.maxHp * 0.25);
+            boss.currentHp = Math.min(boss.maxHp, boss.currentHp + healAmt);
+            showDamageNumber(boss.x, boss.y, healAmt, 'heal', false);
+            addLog(`${boss.name} regenerates!`, 'monster-action');
+            break;
+        }
+    }
+    updateMonstersUI();
+}
+
+// Spawns monsters of the boss's base type beside it
+function spawnBossMinions(boss, count, overrides = {}) {
+    const type = MONSTER_TYPES.find(t => t.name === getBossType(boss)?.baseType) || MONSTER_TYPES[0];
+    for (let i = 0; i < count; i++) {
+        const pos = findNearbyPosition(boss.x, boss.y, 2);
+        if (!pos) break;
+        const minion = generateMonster(Math.max(1, gameState.run.floor - 5), false, false, type);
+        Object.assign(minion, overrides, { ambushing: false });
+        minion.currentHp = minion.maxHp;
+        gameState.monsters.push(initializeMonsterState(minion, pos));
+    }
+}
+
+/**
+ * Tiles a boss move will hit if it were cast right now
+ * @param {Object} boss - Casting boss
+ * @param {Object} move - Entry from BOSS_MOVES
+ * @returns {Array<{x: number, y: number}>} Threatened floor tiles (may be empty)
+ */
+function getBossMoveTiles(boss, move) {
+    const { x: px, y: py } = gameState.player;
+    const isOpen = (x, y) => x >= 0 && y >= 0 && x < GRID_WIDTH && y < GRID_HEIGHT && gameState.grid[y][x] !== TILE.WALL;
+    const tiles = [];
+    const add = (x, y) => {
+        if (isOpen(x, y) && !tiles.some(t => t.x === x && t.y === y)) tiles.push({ x, y });
+    };
+
+    switch (move.shape) {
+        case 'around':
+        case 'target': {
+            const cx = move.shape === 'around' ? boss.x : px;
+            const cy = move.shape === 'around' ? boss.y : py;
+            for (let dy = -move.size; dy <= move.size; dy++) {
+                for (let dx = -move.size; dx <= move.size; dx++) {
+                    if (Math.abs(dx) + Math.abs(dy) <= move.size) add(cx + dx, cy + dy);
+                }
+            }
+            break;
+        }
+        case 'cross':
+            add(px, py);
+            for (let i = 1; i <= move.size; i++) {
+                add(px + i, py);
+                add(px - i, py);
+                add(px, py + i);
+                add(px, py - i);
+            }
+            break;
+        case 'line': {
+            // Straight out along whichever axis points most at the hero, stopped by walls
+            const dx = px - boss.x;
+            const dy = py - boss.y;
+            const sx = Math.abs(dx) >= Math.abs(dy) ? Math.sign(dx) : 0;
+            const sy = sx === 0 ? Math.sign(dy) : 0;
+            if (!sx && !sy) break;
+            for (let i = 1; i <= move.size && isOpen(boss.x + sx * i, boss.y + sy * i); i++) {
+                tiles.push({ x: boss.x + sx * i, y: boss.y + sy * i });
+            }
+            break;
+        }
+        case 'corpses':
+            gameState.corpses.slice(-move.size).forEach(c => add(c.x, c.y));
+            // Nothing has died here yet: old bones beside the boss rise instead
+            for (let i = tiles.length; i < move.size; i++) {
+                const pos = findNearbyPosition(boss.x, boss.y, 2);
+                if (pos) add(pos.x, pos.y);
+            }
+            break;
+    }
+    return tiles;
+}
+
+function startBossMove(boss, move) {
+    const tiles = getBossMoveTiles(boss, move);
+    if (!tiles.length) return false;
+
+    boss.casting = true;
+    boss.moveCooldown = move.windup + move.cooldown;
+    addLog(`${boss.name} readies ${move.name}!`, 'monster-action');
+    addTelegraph(boss, tiles, move.windup, move.color, () => {
+        boss.casting = false;
+        landBossMove(boss, move, tiles);
+    });
+    return true;
+}
+
+function landBossMove(boss, move, tiles) {
+    if (!gameState.gameRunning) return;
+    const r = gameState.run;
+    const { x: px, y: py } = gameState.player;
+    const hitPlayer = tiles.some(t => t.x === px && t.y === py);
+
+    tiles.forEach(t => addVisualEffect('ground', t.x * TILE_SIZE + TILE_SIZE / 2, t.y * TILE_SIZE + TILE_SIZE / 2, 0.4,
+        { radius: TILE_SIZE * 0.5, color: move.color }));
+
+    switch (move.effect) {
+        case 'charge': {
+            // Rush down the line, stopping short of the hero
+            let dest = null;
+            for (const t of tiles) {
+                if (t.x === px && t.y === py) break;
+                dest = t;
+            }
+            if (dest) {
+                boss.x = dest.x;
+                boss.y = dest.y;
+            }
+            break;
+        }
+        case 'web':
+            tiles.forEach(t => {
+                const web = gameState.webs.find(w => w.x === t.x && w.y === t.y);
+                if (web) web.timer = WEB_CONFIG.duration;
+                else gameState.webs.push({ x: t.x, y: t.y, timer: WEB_CONFIG.duration });
+            });
+            if (hitPlayer) addLog('You are caught in a web!', 'status');
+            break;
+        case 'raise':
+            tiles.forEach(t => raiseCorpse(t));
+            addLog(`${boss.name} raises the dead!`, 'monster-action');
+            updateMonstersUI();
+            break;
+    }
+
+    if (!move.damage) return;
+    if (!hitPlayer || gameState.isInvincible) {
+        addLog(`You avoid ${move.name}.`, 'dodge');
+        return;
+    }
+
+    const relicDmg = runRelicHooks('onDamageTaken', { source: boss, damage: Math.floor(calculateDamage(boss, r, false) * move.damage) }).damage;
+    const dmg = absorbWithShield(applyEnchantmentsOnDamageTaken(boss, relicDmg));
+    r.currentHp -= dmg;
+    r.lastHitBy = { name: boss.name, move: move.name };
+    gameState.screenShake = Math.min(10, gameState.screenShake + 5);
+    showDamageNumber(px, py, dmg, 'player-damage', true);
+    addLog(`${move.name} hits you for ${dmg}!`, 'monster-action');
+    if (move.status) applyStatus(r, move.status);
+
+    updatePlayerHealthBar();
+    if (r.currentHp <= 0) playerDefeated();
+}
+
+// Lich: brings back a monster slain on this floor, or a skeleton where nothing has died yet
+function raiseCorpse(tile) {
+    const idx = gameState.corpses.findIndex(c => c.x === tile.x && c.y === tile.y);
+    let risen;
+    if (idx !== -1) {
+        const corpse = gameState.corpses.splice(idx, 1)[0];
+        risen = { ...corpse, name: `Risen ${corpse.name}`, maxHp: Math.floor(corpse.maxHp * 0.5), xpReward: Math.floor(corpse.xpReward * 0.5) };
+    } else {
+        risen = generateMonster(Math.max(1, gameState.run.floor - 5), false, false, MONSTER_TYPES.find(t => t.name === 'Skeleton'));
+        risen.name = 'Risen Skeleton';
+    }
+    Object.assign(risen, { currentHp: risen.maxHp, color: '#7f8c8d', risen: true, ambushing: false, ambushStrike: false, fleeTimer: undefined, casting: false });
+    gameState.monsters.push(initializeMonsterState(risen, tile));
+}
+
+// ==========================================
+// TELEGRAPHS
+// ==========================================
+
+/**
+ * Marks tiles an attack is about to hit. The marker is drawn over them while the
+ * wind-up runs down, then onLand resolves the attack. Dropped if the source dies first.
+ * @param {Object} source - Attacking monster
+ * @param {Array<{x: number, y: number}>} tiles - Threatened tiles
+ * @param {number} windup - Seconds until the attack lands
+ * @param {string} color - Marker color
+ * @param {Function} onLand - Called with the tiles when the wind-up ends
+ */
+function addTelegraph(source, tiles, windup, color, onLand) {
+    gameState.telegraphs.push({ source, tiles, timer: windup, duration: windup, color, onLand });
+}
+
+function updateTelegraphs(dt) {
+    const landed = [];
+    gameState.telegraphs = gameState.telegraphs.filter(t => {
+        if (t.source && (t.source.currentHp <= 0 || !gameState.monsters.includes(t.source))) return false;
+        t.timer -= dt;
+        if (t.timer > 0) return true;
+        landed.push(t);
+        return false;
+    });
+    landed.forEach(t => t.onLand(t.tiles));
+}
+
+function updateWebs(dt) {
+    if (!gameState.webs.length) return;
+    gameState.webs = gameState.webs.filter(w => (w.timer -= dt) > 0);
+}
+
+// Hero move speed multiplier from Spider Queen webs underfoot
+function getWebSlow() {
+    const { x, y } = gameState.player;
+    return gameState.webs.some(w => w.x === x && w.y === y) ? WEB_CONFIG.slow : 1;
+}
+
+// ==========================================
+// MONSTER BEHAVIOURS
+// ==========================================
+
+/**
+ * Runs one tick of a monster's movement and attacks according to its behaviour profile
+ * @param {Object} m - Monster to update
+ * @param {number} distToPlayer - Manhattan distance to the player
+ * @param {number} dt - Delta time in seconds
+ */
+function updateMonsterBehavior(m, distToPlayer, dt) {
+    if (m.casting) return; // Rooted while winding up a telegraphed move
+    switch (m.behavior) {
+        case 'ranged': return updateRangedMonster(m, distToPlayer, dt);
+        case 'skittish': return updateSkittishMonster(m, distToPlayer, dt);
+        case 'pack': return updatePackMonster(m, distToPlayer, dt);
+        case 'ambush': return updateAmbushMonster(m, distToPlayer, dt);
+        default: return updateMeleeMonster(m, distToPlayer, dt);
+    }
+}
+
+// Fills the monster's attack timer and winds up an attack when it is full
+function tickMonsterAttack(m, dt, damageMult = 1, ranged = false) {
+    m.attackTimer = (m.attackTimer || 0) + dt * m.speed;
+    if (m.attackTimer >= 1) windUpMonsterAttack(m, damageMult, ranged);
+}
+
+/**
+ * Telegraphs an attack on the hero's tile. The monster is rooted while it winds up and
+ * the attack only lands if the hero is still there; the wind-up counts toward the next
+ * swing so telegraphing doesn't slow monsters down.
+ * @param {Object} m - Attacking monster
+ * @param {number} [damageMult=1] - Passed through to monsterAttack
+ * @param {boolean} [ranged=false] - Passed through to monsterAttack
+ */
+function windUpMonsterAttack(m, damageMult = 1, ranged = false) {
+    const windup = ranged ? MONSTER_WINDUP.ranged : MONSTER_WINDUP.melee;
+    const target = { x: gameState.player.x, y: gameState.player.y };
+    m.casting = true;
+    m.attackTimer = Math.min(0.9, windup * m.speed);
+    addTelegraph(m, [target], windup, ranged ? m.color : '#ff4444', () => {
+        m.casting = false;
+        if (gameState.player.x === target.x && gameState.player.y === target.y) monsterAttack(m, damageMult, ranged);
+    });
+}
+
+// Fills the monster's move timer; true when it may take a step this tick (same pace as the player)
+function tickMonsterMove(m, dt, speedMult = 1) {
+    m.moveTimer = (m.moveTimer || 0) + dt * m.speed * speedMult;
+    if (m.moveTimer < 0.75) return false;
+    m.moveTimer = 0;
+    return true;
+}
+
+function moveMonsterTo(m, step) {
+    if (!step) return;
+    m.x = step.x;
+    m.y = step.y;
+}
+
+function patrolMonster(m, dt) {
+    if (!tickMonsterMove(m, dt)) return;
+    if (!m.patrolTarget || (m.x === m.patrolTarget.x && m.y === m.patrolTarget.y)) {
+        m.patrolTarget = findValidPosition();
+    }
+    if (m.patrolTarget) {
+        const path = findPath(m.x, m.y, m.patrolTarget.x, m.patrolTarget.y);
+        if (path.length > 0) moveMonsterTo(m, path[0]);
+    }
+}
+
+// Brutes walk up and hit the hero
+function updateMeleeMonster(m, distToPlayer, dt) {
+    if (distToPlayer <= 1) {
+        tickMonsterAttack(m, dt);
+    } else if (distToPlayer <= CONFIG.MONSTER_CHASE_RANGE) {
+        if (tickMonsterMove(m, dt)) moveMonsterTo(m, getStepTowardPlayer(m.x, m.y));
+    } else {
+        patrolMonster(m, dt);
+    }
+}
+
+// Casters cast from range while they can see the hero, and back away slowly from melee
+function updateRangedMonster(m, distToPlayer, dt) {
+    const profile = MONSTER_BEHAVIORS.ranged;
+    if (distToPlayer > CONFIG.MONSTER_CHASE_RANGE) return patrolMonster(m, dt);
+
+    const inSight = distToPlayer <= profile.range && hasLineOfSight(m.x, m.y, gameState.player.x, gameState.player.y);
+    if (inSight) tickMonsterAttack(m, dt, profile.damageMult, true);
+
+    if (distToPlayer < profile.keepDistance) {
+        if (tickMonsterMove(m, dt, profile.retreatSpeed)) moveMonsterTo(m, getStepAwayFromPlayer(m.x, m.y));
+    } else if (!inSight) {
+        if (tickMonsterMove(m, dt)) moveMonsterTo(m, getStepTowardPlayer(m.x, m.y));
+    }
+}
+
+// Skittish monsters fight until badly hurt, then limp away for a few seconds and only bite
+// back once cornered or out of breath (so they can't dance out of reach forever)
+function updateSkittishMonster(m, distToPlayer, dt) {
+    const profile = MONSTER_BEHAVIORS.skittish;
+    if (m.currentHp >= m.maxHp * profile.fleeBelow || distToPlayer > CONFIG.MONSTER_CHASE_RANGE || m.fleeTimer <= 0) {
+        return updateMeleeMonster(m, distToPlayer, dt);
+    }
+
+    if (m.fleeTimer === undefined) {
+        m.fleeTimer = profile.fleeTime;
+        addLog(`${m.name} turns tail and flees!`, 'monster-action');
+    }
+    m.fleeTimer -= dt;
+    const step = getStepAwayFromPlayer(m.x, m.y);
+    if (step) {
+        if (tickMonsterMove(m, dt, profile.fleeSpeed)) moveMonsterTo(m, step);
+    } else if (distToPlayer <= 1) {
+        tickMonsterAttack(m, dt);
+    }
+}
+
+// Wolves hunt together: one spotting the hero rouses the pack nearby, they fan out
+// around the hero rather than queueing up, and bite harder for every packmate in the fight
+function updatePackMonster(m, distToPlayer, dt) {
+    const profile = MONSTER_BEHAVIORS.pack;
+    const { x: px, y: py } = gameState.player;
+    const pack = gameState.monsters.filter(o => o !== m && o.behavior === 'pack' && o.currentHp > 0 &&
+        heuristic(o.x, o.y, m.x, m.y) <= profile.alertRadius);
+
+    if (distToPlayer <= 1) {
+        const flankers = pack.filter(o => heuristic(o.x, o.y, px, py) <= 1).length;
+        tickMonsterAttack(m, dt, 1 + flankers * profile.packBonus);
+    } else if (distToPlayer <= CONFIG.MONSTER_CHASE_RANGE || pack.some(o => heuristic(o.x, o.y, px, py) <= CONFIG.MONSTER_CHASE_RANGE)) {
+        if (tickMonsterMove(m, dt)) {
+            const occupied = new Set(gameState.monsters.filter(o => o !== m).map(o => o.y * GRID_WIDTH + o.x));
+            moveMonsterTo(m, getStepTowardPlayer(m.x, m.y, occupied));
+        }
+    } else {
+        patrolMonster(m, dt);
+    }
+}
+
+// Ambushers lie hidden and still until the hero comes close or hurts them, then open with a heavy strike
+function updateAmbushMonster(m, distToPlayer, dt) {
+    const profile = MONSTER_BEHAVIORS.ambush;
+    if (m.ambushing) {
+        if (distToPlayer > profile.triggerRange && m.currentHp >= m.maxHp) return;
+        m.ambushing = false;
+        m.ambushStrike = true;
+        addLog(`${m.name} springs from hiding!`, 'monster-action');
+    }
+
+    if (m.ambushStrike && distToPlayer <= 1) {
+        m.ambushStrike = false;
+        windUpMonsterAttack(m, profile.firstStrikeMult);
+        return;
+    }
+    updateMeleeMonster(m, distToPlayer, dt);
+}
+
+/**
+ * Describes a killer recorded in run.lastHitBy, e.g. "Spider (Ambusher)", "Lich (Frost Nova)" or "Poison".
+ * Every source of damage to the hero records itself there, so a death is never pinned on an old hit.
+ * @param {{name: string, behavior?: string, move?: string}} killer
+ * @returns {string}
+ */
+function getKillerText(killer) {
+    const detail = killer.move || MONSTER_BEHAVIORS[killer.behavior]?.name;
+    return detail ? `${killer.name} (${detail})` : killer.name;
+}
+
+/**
+ * Soaks damage to the hero into Arcane/Divine Shield before it reaches HP. Each shield
+ * buff holds what is left of its own absorb, oldest used first, and run.shield is their sum.
+ * @param {number} dmg - Incoming damage
+ * @returns {number} Damage left over for HP
+ */
+function absorbWithShield(dmg) {
+    const r = gameState.run;
+    if (!r.shield || dmg <= 0) return dmg;
+
+    let remaining = dmg;
+    gameState.runBuffs.forEach(buff => {
+        if (buff.stat !== 'shield' || remaining <= 0) return;
+        const absorbed = Math.min(buff.value, remaining);
+        buff.value -= absorbed;
+        remaining -= absorbed;
+    });
+    gameState.runBuffs = gameState.runBuffs.filter(buff => buff.stat !== 'shield' || buff.value > 0);
+    syncPlayerShield();
+    if (r.shield <= 0) addLog('Your shield breaks!', 'status');
+    return remaining;
+}
+
+// Recomputes run.shield from the shield buffs still running
+function syncPlayerShield() {
+    gameState.run.shield = gameState.runBuffs.reduce((sum, buff) => sum + (buff.stat === 'shield' ? buff.value : 0), 0);
+}
+
+/**
+ * Resolves one monster attack against the player
+ * @param {Object} monster - Attacking monster
+ * @param {number} [damageMult=1] - Behaviour damage multiplier (ranged bolts, pack flanking, ambush strikes)
+ * @param {boolean} [ranged=false] - Fired from range, drawn as a bolt instead of a swing
+ */
+function monsterAttack(monster, damageMult = 1, ranged = false) {
+    if (!monster || monster.currentHp <= 0 || !gameState.gameRunning) return;
+
+    // Check freeze/stun
+    const frozen = monster.statusEffects?.find(e => e.type === 'freeze');
+    const stunned = monster.statusEffects?.find(e => e.type === 'stun');
+    if (stunned) return;
+
+    const speedMod = frozen ? 0.5 : 1;
+    if (gameRandom() > speedMod) return; // Slowed
+
+    if (gameState.isInvincible || checkEvasion(gameState.run)) {
+        showDamageNumber(gameState.player.x, gameState.player.y, 'DODGE', 'dodge', false);
+        addLog(`You dodged ${monster.name}'s attack!`, 'dodge');
+        return;
+    }
+
+    const baseDmg = Math.floor(calculateDamage(monster, gameState.run, false) * damageMult);
+    const relicDmg = runRelicHooks('onDamageTaken', { source: monster, damage: baseDmg }).damage;
+    const dmg = absorbWithShield(applyEnchantmentsOnDamageTaken(monster, relicDmg));
+    gameState.run.currentHp -= dmg;
+    gameState.run.lastHitBy = { name: monster.name, behavior: monster.behavior };
+
+    // Visual effects - screen shake and hit effect
+    gameState.screenShake = Math.min(8, gameState.screenShake + 4);
+    const px = gameState.player.x * TILE_SIZE + TILE_SIZE / 2;
+    const py = gameState.player.y * TILE_SIZE + TILE_SIZE / 2;
+    addVisualEffect('hit', px, py, 0.3, { radius: TILE_SIZE * 0.8, color: '#ff4444', angle: visualRandom() * Math.PI * 2 });
+
+    // Red flash when taking damage (intensity based on damage percentage)
+    const dmgPercent = dmg / gameState.run.maxHp;
+    addScreenFlash('#ff0000', Math.min(0.4, 0.1 + dmgPercent * 0.5), 0.15);
     spawnParticles(px, py, 'blood', 6);
 
+    if (ranged) {
+        createProjectileEffect(monster.x * TILE_SIZE + TILE_SIZE / 2, monster.y * TILE_SIZE + TILE_SIZE / 2, px, py,
+            { attackType: 'magic', projectileColor: monster.color, projectileParticle: 'magic' });
+    }
+
     showDamageNumber(gameState.player.x, gameState.player.y, dmg, 'player-damage', false);
-    addLog(`${monster.name} hits you for ${dmg}!`, 'monster-action');
+    addLog(ranged ? `${monster.name} blasts you for ${dmg}!` : `${monster.name} hits you for ${dmg}!`, 'monster-action');
 
     // Vampire lifesteal
     if (monster.hasLifesteal) {
@@ -3537,10 +4838,19 @@ function monsterAttack(monster) {
     }
 
     // Monster poison
-    if (monster.canPoison && Math.random() < 0.2) {
+    if (monster.canPoison && gameRandom() < 0.2) {
         applyStatus(gameState.run, 'poison');
     }
 
+    // Thorns enchantment
+    const reflected = Math.floor(dmg * getEnchantmentBonus('reflectDamage'));
+    if (reflected > 0 && monster.currentHp > 0) {
+        monster.currentHp -= reflected;
+        showDamageNumber(monster.x, monster.y, reflected, 'status', false);
+        logDamage(reflected, 'player');
+        if (monster.currentHp <= 0) monsterDefeated(monster);
+    }
+
     updatePlayerHealthBar();
 
     if (gameState.run.currentHp <= 0) {
@@ -3561,16 +4871,67 @@ function applyStatus(target, type) {
     }
 }
 
+// Heals the player for part of the damage they dealt (lifesteal), unless healing is blocked
+function healFromDamage(amount) {
+    const healAmt = Math.floor(amount);
+    if (healAmt <= 0 || isHealingBlocked()) return;
+    gameState.run.currentHp = Math.min(gameState.run.maxHp, gameState.run.currentHp + healAmt);
+    gameState.stats.totalHealing += healAmt;
+}
+
+/**
+ * Arcs lightning from a monster to the nearest other monster within 3 tiles
+ * @param {Object} fromMonster - Monster that was hit
+ * @param {number} damage - Damage dealt to the second target
+ */
+function chainLightning(fromMonster, damage) {
+    const target = gameState.monsters.find(m => m !== fromMonster && m.currentHp > 0 &&
+        heuristic(m.x, m.y, fromMonster.x, fromMonster.y) <= 3);
+    if (!target) return;
+
+    const dmg = Math.max(1, Math.floor(damage));
+    target.currentHp -= dmg;
+    gameState.stats.totalDamage += dmg;
+    logDamage(dmg, 'player');
+    showDamageNumber(target.x, target.y, dmg, 'monster-damage', false);
+    spawnParticles(target.x * TILE_SIZE + TILE_SIZE / 2, target.y * TILE_SIZE + TILE_SIZE / 2, 'lightning', 10);
+    addLog(`Chain lightning arcs to ${target.name} for ${dmg}!`, 'player-action');
+    if (target.currentHp <= 0) monsterDefeated(target);
+}
+
+/**
+ * Sets a monster on fire for a flat amount per second. Re-ignites refresh the
+ * burn and keep the stronger one; Volcanic Ash weather boosts fire damage.
+ * @param {Object} monster - Target monster
+ * @param {number} damagePerSecond - Burn damage before weather
+ */
+function igniteMonster(monster, damagePerSecond) {
+    const tickFlat = damagePerSecond * (1 + getWeatherStatModifier('fireDamage'));
+    if (!monster.statusEffects) monster.statusEffects = [];
+    const burn = monster.statusEffects.find(e => e.type === 'burn');
+    if (burn) {
+        burn.timer = STATUS_EFFECTS.burn.duration;
+        burn.tickFlat = Math.max(burn.tickFlat || 0, tickFlat);
+    } else {
+        monster.statusEffects.push({ ...STATUS_EFFECTS.burn, type: 'burn', timer: STATUS_EFFECTS.burn.duration, tickDamage: 0, tickFlat });
+    }
+}
+
 function processStatusEffects(target, dt) {
     if (!target.statusEffects) return;
 
     target.statusEffects = target.statusEffects.filter(effect => {
         effect.timer -= dt;
-        if (effect.tickDamage) {
-            const dmg = Math.floor(target.maxHp * effect.tickDamage * dt);
+        if (effect.tickDamage || effect.tickFlat) {
+            // Flat ticks (relic burns) carry fractions between ticks so small values still land
+            const raw = target.maxHp * (effect.tickDamage || 0) * dt + (effect.tickFlat || 0) * dt + (effect.carry || 0);
+            let dmg = Math.floor(raw);
+            if (effect.tickFlat) effect.carry = raw - dmg;
+            if (target === gameState.run) dmg = absorbWithShield(dmg);
             if (dmg > 0) {
                 target.currentHp -= dmg;
                 if (target === gameState.run) {
+                    target.lastHitBy = { name: effect.name };
                     showDamageNumber(gameState.player.x, gameState.player.y, dmg, 'status', false);
                 } else {
                     showDamageNumber(target.x, target.y, dmg, 'status', false);
@@ -3584,13 +4945,18 @@ function processStatusEffects(target, dt) {
 }
 
 function monsterDefeated(monster) {
-    // XP bonus from relics
-    const relicBonuses = getRelicBonuses();
-    const xpGained = Math.floor(monster.xpReward * (1 + relicBonuses.xpBonus));
+    // Relic on-kill effects (XP and drop rate bonuses)
+    const baseDropChance = monster.isBoss ? 0.8 : (monster.isMiniBoss ? 0.6 : (monster.isElite ? 0.4 : 0.15));
+    const kill = runRelicHooks('onKill', { monster, xp: monster.xpReward, dropChance: baseDropChance });
+    const xpGained = Math.floor(kill.xp);
 
     gameState.run.xp += xpGained;
     gameState.run.killsThisRun++;
     gameState.floorKills++;
+    if (!monster.isBoss && !monster.isMiniBoss && !monster.risen) {
+        gameState.corpses.push({ ...monster, statusEffects: [] });
+        if (gameState.corpses.length > 20) gameState.corpses.shift();
+    }
     gameState.stats.monstersKilled++;
     if (monster.isBoss) gameState.stats.bossesKilled++;
     if (monster.isElite) gameState.stats.elitesKilled++;
@@ -3641,16 +5007,22 @@ function monsterDefeated(monster) {
     gameState.monsters = gameState.monsters.filter(m => m !== monster);
 
     // Drop equipment chance (mini-bosses have good drop rate)
-    let dropChance = monster.isBoss ? 0.8 : (monster.isMiniBoss ? 0.6 : (monster.isElite ? 0.4 : 0.15));
-    dropChance += relicBonuses.luckBonus;
-    dropChance += getSynergyBonuses().dropRate;
+    const dropChance = kill.dropChance + getSynergyBonuses().dropRate + getEnchantmentBonus('luckBonus');
     const bonusRarity = monster.isBoss ? 2 : (monster.isMiniBoss ? 1 : (monster.isElite ? 1 : 0));
-    if (Math.random() < dropChance) {
-        const item = generateEquipment(gameState.run.floor, bonusRarity);
-        addToInventory(item);
-        addLog(`${monster.name} dropped ${item.name}!`, 'level-up');
-        playSound('pickup');
-        spawnParticles(mx, my, 'gold', 10);
+    const dropRolls = monster.isBoss ? getBossRewardMult() : 1;
+    for (let i = 0; i < dropRolls; i++) {
+        if (gameRandom() < dropChance) {
+            const item = generateEquipment(gameState.run.floor, bonusRarity);
+            addToInventory(item);
+            addLog(`${monster.name} dropped ${item.name}!`, 'level-up');
+            playSound('pickup');
+            spawnParticles(mx, my, 'gold', 10);
+        }
+    }
+
+    if (monster.isBoss && isBossRush()) {
+        gameState.run.bossStreak = (gameState.run.bossStreak || 0) + 1;
+        addLog(`Boss streak: ${gameState.run.bossStreak}`, 'floor-clear');
     }
 
     // Check milestones and challenges
@@ -3671,6 +5043,7 @@ function floorCleared() {
     if (gameState.exitSpawned) return; // Already spawned
 
     gameState.exitSpawned = true;
+    recordFloorClearTime();
 
     // Find a valid position for the exit (preferably far from player)
     let bestPos = null;
@@ -3702,15 +5075,28 @@ function advanceToNextFloor() {
     const r = gameState.run;
 
     // Heal on floor completion
-    const heal = Math.floor(r.maxHp * 0.1);
-    r.currentHp = Math.min(r.maxHp, r.currentHp + heal);
-    gameState.stats.totalHealing += heal;
-    showDamageNumber(gameState.player.x, gameState.player.y, heal, 'heal', false);
-    spawnParticles(gameState.player.x * TILE_SIZE + TILE_SIZE/2, gameState.player.y * TILE_SIZE + TILE_SIZE/2, 'heal', 8);
+    if (!isHealingBlocked()) {
+        const heal = Math.floor(r.maxHp * 0.1 * getDayNightModifier('healing'));
+        r.currentHp = Math.min(r.maxHp, r.currentHp + heal);
+        gameState.stats.totalHealing += heal;
+        showDamageNumber(gameState.player.x, gameState.player.y, heal, 'heal', false);
+        spawnParticles(gameState.player.x * TILE_SIZE + TILE_SIZE/2, gameState.player.y * TILE_SIZE + TILE_SIZE/2, 'heal', 8);
+    }
 
+    recordSpeedrunSplit();
     r.floor++;
     gameState.floorKills = 0; // Reset floor kills for synergies
-    if (r.floor > gameState.bestFloor) gameState.bestFloor = r.floor;
+    if (r.floor > gameState.bestFloor) {
+        announceGameModeUnlocks(gameState.bestFloor, r.floor);
+        gameState.bestFloor = r.floor;
+    }
+    recordEndlessFloor();
+    recordModeBest();
+
+    if (isSpeedrun() && r.floor >= getGameModeModifier('targetFloor')) {
+        finishSpeedrun();
+        return;
+    }
 
     // Reset floor state
     gameState.exitSpawned = false;
@@ -3728,9 +5114,11 @@ function advanceToNextFloor() {
     gameState.player.y = pos.y;
 
     // Spawn new monsters
-    setTimeout(() => {
-        if (gameState.gameRunning) spawnMonsters();
-    }, 500);
+    if (!HEADLESS) {
+        setTimeout(() => {
+            if (gameState.gameRunning) spawnMonsters();
+        }, 500);
+    }
 
     updateAllUI();
     checkAchievements();
@@ -3770,29 +5158,36 @@ function checkLevelUp() {
 }
 
 function playerDefeated() {
-    // Check for Phoenix Feather relic revive
-    const relicBonuses = getRelicBonuses();
-    if (relicBonuses.revive && !gameState.phoenixRebirthUsed) {
-        gameState.phoenixRebirthUsed = true;
-        gameState.run.currentHp = Math.floor(gameState.run.maxHp * 0.5);
-        addLog('Phoenix Feather activates! Revived with 50% HP!', 'level-up');
-        playSound('heal');
-        spawnParticles(gameState.player.x * TILE_SIZE + TILE_SIZE/2, gameState.player.y * TILE_SIZE + TILE_SIZE/2, 'fire', 25);
-        return; // Don't die
-    }
+    // Relic on-death effects (Phoenix Feather revive)
+    if (runRelicHooks('onDeath', { prevented: false }).prevented) return; // Don't die
 
-    gameState.gameRunning = false;
     playSound('death');
+    gameState.stats.deaths = (gameState.stats.deaths || 0) + 1;
+    const killer = gameState.run.lastHitBy;
+    gameState.run.killedBy = killer || null;
+    addLog(`You have fallen on Floor ${gameState.run.floor}${killer ? `, slain by ${getKillerText(killer)}` : ''}...`, 'monster-action');
+    endRun('You Have Fallen!');
+}
+
+/**
+ * Ends the current run: banks its souls, shows the run summary and queues the next run
+ * @param {string} title - Heading for the run summary modal
+ */
+function endRun(title) {
+    gameState.gameRunning = false;
 
     // Stop music and ambient sounds
     stopBackgroundMusic();
     stopAmbientSounds();
 
     const souls = calculateSoulPoints();
-    gameState.soulPoints += souls;
+    if (gameState.hardcoreActive) {
+        endHardcoreCharacter(souls);
+    } else {
+        gameState.soulPoints += souls;
+    }
     gameState.stats.totalSoulsEarned += souls;
     gameState.stats.soulsEarned = (gameState.stats.soulsEarned || 0) + souls;
-    gameState.stats.deaths = (gameState.stats.deaths || 0) + 1;
     gameState.totalRuns++;
 
     // Fail active challenge
@@ -3801,19 +5196,26 @@ function playerDefeated() {
         gameState.activeChallenge = null;
     }
 
-    addLog(`You have fallen on Floor ${gameState.run.floor}...`, 'monster-action');
-
-    DOM.death_floor.textContent = gameState.run.floor;
-    DOM.death_level.textContent = gameState.run.level;
-    DOM.death_kills.textContent = gameState.run.killsThisRun || 0;
-    DOM.death_souls.textContent = souls;
-    DOM.death_modal.classList.add('active');
-
-    // Auto-restart after 5 seconds
-    startModalTimer('death-modal', 5, () => {
-        DOM.death_modal.classList.remove('active');
-        startNewRun();
-    });
+    recordEndlessFloor();
+    recordModeBest();
+
+    // Headless simulations read the result and start the next run themselves
+    if (!HEADLESS) {
+        DOM.death_title.textContent = title;
+        DOM.death_floor.textContent = gameState.run.floor;
+        DOM.death_level.textContent = gameState.run.level;
+        DOM.death_kills.textContent = gameState.run.killsThisRun || 0;
+        DOM.death_souls.textContent = souls;
+        DOM.death_killer.textContent = gameState.run.killedBy ? getKillerText(gameState.run.killedBy) : '-';
+        DOM.death_mode.textContent = GAME_MODES[gameState.selectedGameMode].name;
+        DOM.death_modal.classList.add('active');
+
+        // Auto-restart after 5 seconds
+        startModalTimer('death-modal', 5, () => {
+            DOM.death_modal.classList.remove('active');
+            startNewRun();
+        });
+    }
 
     saveGame();
     checkAchievements();
@@ -3823,7 +5225,11 @@ function playerDefeated() {
 function calculateSoulPoints() {
     const r = gameState.run;
     let souls = Math.floor(r.floor * 1.5 + r.level * 2);
-    souls += Math.floor((r.floor - 1) / 10) * 10; // Boss bonus
+    if (isBossRush()) {
+        souls += (r.bossStreak || 0) * 10 * getBossRewardMult(); // Every floor is a boss
+    } else {
+        souls += Math.floor((r.floor - 1) / 10) * 10; // Boss bonus
+    }
     souls = Math.floor(souls * gameState.prestigeMultiplier);
 
     // Ascension bonus
@@ -3834,10 +5240,16 @@ function calculateSoulPoints() {
     const relicBonuses = getRelicBonuses();
     souls = Math.floor(souls * (1 + relicBonuses.soulBonus));
 
+    // Wisdom enchantment and the Midnight phase
+    souls = Math.floor(souls * (1 + getEnchantmentBonus('soulBonus')) * getDayNightModifier('soulBonus'));
+
     // Synergy bonus
     const synergyBonuses = getSynergyBonuses();
     souls = Math.floor(souls * (1 + synergyBonuses.soulBonus));
 
+    // Game mode reward multiplier (Hardcore, Nightmare)
+    souls = Math.floor(souls * getGameModeModifier('rewardMult'));
+
     return souls;
 }
 
@@ -3850,15 +5262,29 @@ function useSkill(skillName) {
     if (!skill || !skill.unlocked) return;
     if (gameState.skillCooldowns[skillName] > 0) return;
     if (!gameState.gameRunning) return;
+    if (skill.effect === 'heal' && isHealingBlocked()) {
+        addLog('Healing is forbidden in this run!', 'monster-action');
+        return;
+    }
+
+    // Arcane Storm shortens cooldowns
+    gameState.skillCooldowns[skillName] = skill.cooldown * (1 - getWeatherStatModifier('cooldownReduction'));
 
-    gameState.skillCooldowns[skillName] = skill.cooldown;
+    castSkill(skillName, skill);
+}
 
+/**
+ * Applies a skill's effect; shared by regular skills and ultimates
+ * @param {string} skillName - Key in SKILLS, or the class key for an ultimate
+ * @param {Object} skill - Skill definition
+ */
+function castSkill(skillName, skill) {
     const px = gameState.player.x * TILE_SIZE + TILE_SIZE / 2;
     const py = gameState.player.y * TILE_SIZE + TILE_SIZE / 2;
 
     switch (skill.effect) {
         case 'heal':
-            const healAmt = Math.floor(gameState.run.maxHp * skill.value);
+            const healAmt = Math.floor(gameState.run.maxHp * skill.value * getDayNightModifier('healing'));
             gameState.run.currentHp = Math.min(gameState.run.maxHp, gameState.run.currentHp + healAmt);
             showDamageNumber(gameState.player.x, gameState.player.y, healAmt, 'heal', false);
             addLog(`Healed for ${healAmt} HP!`, 'floor-clear');
@@ -3912,17 +5338,18 @@ function useSkill(skillName) {
             let aoeHits = 0;
             gameState.monsters.forEach(m => {
                 const dist = heuristic(gameState.player.x, gameState.player.y, m.x, m.y);
-                if (dist <= 3) {
+                if (dist <= (skill.radius || 3)) {
                     const dmg = Math.floor(gameState.run.attack * skill.value);
                     m.currentHp -= dmg;
                     showDamageNumber(m.x, m.y, dmg, 'monster-damage', false);
                     gameState.stats.totalDamageDealt = (gameState.stats.totalDamageDealt || 0) + dmg;
                     logDamage(dmg, 'player');
+                    if (skill.status) applyStatus(m, skill.status);
                     aoeHits++;
                     if (m.currentHp <= 0) monsterDefeated(m);
                 }
             });
-            addLog(`Whirlwind hits ${aoeHits} enemies!`, 'player-action');
+            addLog(`${skill.name} hits ${aoeHits} enemies!`, 'player-action');
             playSound('hit');
             spawnParticles(px, py, 'blood', 20);
             break;
@@ -3987,7 +5414,7 @@ function useSkill(skillName) {
                     { x: target.x, y: target.y - 1 }
                 ].filter(p => p.x >= 0 && p.x < GRID_WIDTH && p.y >= 0 && p.y < GRID_HEIGHT && gameState.grid[p.y][p.x] === TILE.FLOOR);
                 if (positions.length) {
-                    const pos = positions[Math.floor(Math.random() * positions.length)];
+                    const pos = positions[Math.floor(gameRandom() * positions.length)];
 
                     // Disappear effect at origin
                     spawnParticles(px, py, 'smoke', 12);
@@ -4010,29 +5437,33 @@ function useSkill(skillName) {
             break;
 
         case 'stun':
-            // Stun nearest monster
+            // Stun nearest monster, or everything within the skill's radius
             if (gameState.monsters.length) {
-                const target = gameState.monsters.reduce((a, b) =>
-                    heuristic(gameState.player.x, gameState.player.y, a.x, a.y) <
-                    heuristic(gameState.player.x, gameState.player.y, b.x, b.y) ? a : b
-                );
-                applyStatus(target, 'stun');
-                const dmg = Math.floor(gameState.run.attack * 0.5);
-                target.currentHp -= dmg;
-                gameState.stats.totalDamageDealt = (gameState.stats.totalDamageDealt || 0) + dmg;
-                logDamage(dmg, 'player');
-                showDamageNumber(target.x, target.y, dmg, 'monster-damage', false);
-                addLog(`Shield Bash stuns ${target.name}!`, 'player-action');
-                playSound('hit');
+                const targets = skill.radius
+                    ? gameState.monsters.filter(m => heuristic(gameState.player.x, gameState.player.y, m.x, m.y) <= skill.radius)
+                    : [gameState.monsters.reduce((a, b) =>
+                        heuristic(gameState.player.x, gameState.player.y, a.x, a.y) <
+                        heuristic(gameState.player.x, gameState.player.y, b.x, b.y) ? a : b
+                    )];
+                targets.forEach(target => {
+                    applyStatus(target, 'stun');
+                    const dmg = Math.floor(gameState.run.attack * (skill.damage || 0.5));
+                    target.currentHp -= dmg;
+                    gameState.stats.totalDamageDealt = (gameState.stats.totalDamageDealt || 0) + dmg;
+                    logDamage(dmg, 'player');
+                    showDamageNumber(target.x, target.y, dmg, 'monster-damage', false);
+                    addLog(`${skill.name} stuns ${target.name}!`, 'player-action');
 
-                // Stun visual effects
-                const stunX = target.x * TILE_SIZE + TILE_SIZE / 2;
-                const stunY = target.y * TILE_SIZE + TILE_SIZE / 2;
-                spawnParticles(stunX, stunY, 'stun', 10);
-                addHitFlash(target.x * TILE_SIZE, target.y * TILE_SIZE, '#ffff00', TILE_SIZE);
-                gameState.screenShake = 5;
+                    // Stun visual effects
+                    const stunX = target.x * TILE_SIZE + TILE_SIZE / 2;
+                    const stunY = target.y * TILE_SIZE + TILE_SIZE / 2;
+                    spawnParticles(stunX, stunY, 'stun', 10);
+                    addHitFlash(target.x * TILE_SIZE, target.y * TILE_SIZE, '#ffff00', TILE_SIZE);
 
-                if (target.currentHp <= 0) monsterDefeated(target);
+                    if (target.currentHp <= 0) monsterDefeated(target);
+                });
+                playSound('hit');
+                gameState.screenShake = skill.radius ? 12 : 5;
             }
             break;
 
@@ -4040,6 +5471,7 @@ function useSkill(skillName) {
             // Apply temporary buff to player
             if (!gameState.runBuffs) gameState.runBuffs = [];
             gameState.runBuffs.push({
+                source: skill.name,
                 stat: skill.stat,
                 value: skill.value,
                 duration: skill.duration,
@@ -4054,6 +5486,7 @@ function useSkill(skillName) {
             // Double damage but take more damage
             if (!gameState.runBuffs) gameState.runBuffs = [];
             gameState.runBuffs.push({
+                source: skill.name,
                 stat: 'attack',
                 value: skill.value - 1,
                 duration: skill.duration,
@@ -4073,19 +5506,62 @@ function useSkill(skillName) {
         case 'shield':
             // Create damage absorbing shield
             const shieldAmount = Math.floor(gameState.run.maxHp * skill.value);
-            gameState.run.shield = (gameState.run.shield || 0) + shieldAmount;
             if (!gameState.runBuffs) gameState.runBuffs = [];
             gameState.runBuffs.push({
+                source: skill.name,
                 stat: 'shield',
                 value: shieldAmount,
                 duration: skill.duration,
                 timer: skill.duration
             });
-            addLog(`Arcane Shield absorbs ${shieldAmount} damage!`, 'level-up');
+            syncPlayerShield();
+            addLog(`${skill.name} absorbs ${shieldAmount} damage!`, 'level-up');
             playSound('powerup');
             spawnParticles(px, py, 'magic', 20);
             break;
 
+        case 'smite':
+            // Holy damage to the nearest monster that heals the caster
+            if (gameState.monsters.length) {
+                const target = gameState.monsters.reduce((a, b) =>
+                    heuristic(gameState.player.x, gameState.player.y, a.x, a.y) <
+                    heuristic(gameState.player.x, gameState.player.y, b.x, b.y) ? a : b
+                );
+                const dmg = Math.floor(gameState.run.attack * skill.value);
+                target.currentHp -= dmg;
+                gameState.stats.totalDamageDealt = (gameState.stats.totalDamageDealt || 0) + dmg;
+                logDamage(dmg, 'player');
+                showDamageNumber(target.x, target.y, dmg, 'monster-damage', false);
+                healFromDamage(dmg * skill.heal * getDayNightModifier('healing'));
+                addLog(`${skill.name} smites ${target.name} for ${dmg}!`, 'player-action');
+                playSound('hit');
+
+                spawnParticles(target.x * TILE_SIZE + TILE_SIZE / 2, target.y * TILE_SIZE + TILE_SIZE / 2, 'gold', 15);
+                spawnParticles(px, py, 'heal', 8);
+                addHitFlash(target.x * TILE_SIZE, target.y * TILE_SIZE, '#ffe066', TILE_SIZE);
+
+                if (target.currentHp <= 0) monsterDefeated(target);
+            }
+            break;
+
+        case 'aura':
+            // Pulses every second while active, see pulseAura
+            if (!gameState.runBuffs) gameState.runBuffs = [];
+            gameState.runBuffs.push({
+                source: skill.name,
+                stat: 'aura',
+                value: skill.value,
+                heal: skill.heal,
+                radius: skill.radius,
+                pulse: 0,
+                duration: skill.duration,
+                timer: skill.duration
+            });
+            addLog(`${skill.name}! The ground around you is sanctified.`, 'level-up');
+            playSound('powerup');
+            spawnParticles(px, py, 'gold', 20);
+            break;
+
         case 'crit':
             // Guaranteed critical hit
             if (gameState.monsters.length) {
@@ -4099,7 +5575,7 @@ function useSkill(skillName) {
                 gameState.stats.criticalHits = (gameState.stats.criticalHits || 0) + 1;
                 logDamage(dmg, 'player');
                 showDamageNumber(target.x, target.y, dmg, 'monster-damage', true);
-                addLog(`Backstab! Critical hit for ${dmg}!`, 'crit');
+                addLog(`${skill.name}! Critical hit for ${dmg}!`, 'crit');
                 playSound('crit');
                 const mx = target.x * TILE_SIZE + TILE_SIZE / 2;
                 const my = target.y * TILE_SIZE + TILE_SIZE / 2;
@@ -4152,17 +5628,13 @@ function updateSkillTreeUI() {
 
     const playerClass = gameState.selectedClass;
 
-    // Group skills by class
-    const skillGroups = {
-        universal: [],
-        warrior: [],
-        mage: [],
-        rogue: []
-    };
+    // Group skills by class (locked classes stay hidden)
+    const skillGroups = { universal: [] };
+    Object.keys(CLASSES).filter(isClassUnlocked).forEach(c => { skillGroups[c] = []; });
 
     Object.entries(SKILLS).forEach(([key, skill]) => {
         const group = skill.class || 'universal';
-        skillGroups[group].push({ key, ...skill });
+        if (skillGroups[group]) skillGroups[group].push({ key, ...skill });
     });
 
     let html = '';
@@ -4198,8 +5670,10 @@ function updateSkillTreeUI() {
 }
 
 function updateSkillCooldownsUI() {
+    if (HEADLESS) return;
     const playerLevel = gameState.run?.level || 0;
     const playerClass = gameState.selectedClass;
+    updateUltimateUI();
 
     Object.keys(SKILLS).forEach(skillKey => {
         const skill = SKILLS[skillKey];
@@ -4265,24 +5739,29 @@ function updateSkillCooldownsUI() {
 
 function generateEquipment(floor, bonusRarity = 0) {
     const types = ['weapon', 'armor', 'accessory'];
-    const type = types[Math.floor(Math.random() * types.length)];
+    const type = types[Math.floor(gameRandom() * types.length)];
     const bases = EQUIPMENT_BASES[type];
-    const base = bases[Math.floor(Math.random() * bases.length)];
+    const base = bases[Math.floor(gameRandom() * bases.length)];
 
     // Determine rarity
-    let rarityIdx = Math.floor(Math.random() * 100);
+    let rarityIdx = Math.floor(gameRandom() * 100);
     if (rarityIdx < 50) rarityIdx = 0;
     else if (rarityIdx < 80) rarityIdx = 1;
     else if (rarityIdx < 93) rarityIdx = 2;
     else if (rarityIdx < 99) rarityIdx = 3;
     else rarityIdx = 4;
-    rarityIdx = Math.min(4, rarityIdx + bonusRarity);
+    rarityIdx = Math.min(LEGENDARY_RARITY_IDX, rarityIdx + bonusRarity);
+    if (isMythicUnlocked() && gameRandom() < MYTHIC_DROP_CHANCE) rarityIdx = RARITIES.indexOf('mythic');
 
     const rarity = RARITIES[rarityIdx];
     const mult = RARITY_MULT[rarity] * (1 + floor * 0.05);
+    const affix = rarity === 'mythic' ? MYTHIC_AFFIXES[base.name] : null;
+    const affixes = rollItemAffixes(type, rarity, floor);
+    const prefix = affixes.find(a => a.type === 'prefix');
+    const suffix = affix || affixes.find(a => a.type === 'suffix');
 
     const item = {
-        name: `${rarity.charAt(0).toUpperCase() + rarity.slice(1)} ${base.name}`,
+        name: `${prefix ? prefix.name + ' ' : ''}${rarity.charAt(0).toUpperCase() + rarity.slice(1)} ${base.name}${suffix ? ' ' + suffix.name : ''}`,
         baseName: base.name,
         type,
         rarity,
@@ -4290,7 +5769,61 @@ function generateEquipment(floor, bonusRarity = 0) {
         icon: base.icon || EQUIPMENT_SLOT_ICONS[type]
     };
 
-    // Apply base stats with multiplier
+    applyBaseStats(item, base, mult);
+
+    if (affix) item.affix = applyMythicAffix(item, base.name, mult);
+
+    // Stat affixes fold into the item's stats; effect affixes are summed in combat
+    affixes.forEach(a => {
+        for (const [stat, value] of Object.entries(a.stats || {})) item[stat] = (item[stat] || 0) + value;
+    });
+    if (affixes.length > 0) item.affixes = affixes;
+
+    if (rarity === 'legendary') gameState.stats.legendariesFound++;
+    if (rarity === 'mythic') gameState.stats.mythicsFound++;
+
+    return item;
+}
+
+/**
+ * Roll AFFIX_COUNTS[rarity] distinct affixes that fit the slot.
+ * @returns {Array<{id: string, name: string, type: string, stats?: Object, effect?: Object}>}
+ */
+function rollItemAffixes(type, rarity, floor) {
+    const pool = ITEM_AFFIXES.filter(a => a.slots.includes(type));
+    const rolled = [];
+    const floorMult = 1 + floor * 0.05;
+    const rollRange = ([min, max]) => min + gameRandom() * (max - min);
+
+    for (let i = 0; i < (AFFIX_COUNTS[rarity] || 0) && pool.length > 0; i++) {
+        const def = pool.splice(Math.floor(gameRandom() * pool.length), 1)[0];
+        const affix = { id: def.id, name: def.name, type: def.type };
+        if (def.stats) {
+            affix.stats = {};
+            for (const [stat, range] of Object.entries(def.stats)) {
+                affix.stats[stat] = Math.max(1, Math.floor(rollRange(range) * floorMult));
+            }
+        }
+        if (def.effect) {
+            affix.effect = {};
+            for (const [key, range] of Object.entries(def.effect)) {
+                affix.effect[key] = Math.round(rollRange(range) * 1000) / 1000;
+            }
+        }
+        rolled.push(affix);
+    }
+    return rolled;
+}
+
+function getAffixText(affix) {
+    if (affix.stats) return `${affix.name}: ${getItemStatsText(affix.stats)}`;
+    const parts = Object.entries(affix.effect || {})
+        .map(([key, value]) => `${Math.round(value * 100)}% ${AFFIX_EFFECTS[key]?.label || key}`);
+    return `${affix.name}: ${parts.join(', ')}`;
+}
+
+/** Copy an EQUIPMENT_BASES entry's stats onto an item, scaled by mult */
+function applyBaseStats(item, base, mult) {
     if (base.atk) item.atk = Math.floor(base.atk * mult);
     if (base.def) item.def = Math.floor(base.def * mult);
     if (base.hp) item.hp = Math.floor(base.hp * mult);
@@ -4298,10 +5831,22 @@ function generateEquipment(floor, bonusRarity = 0) {
     if (base.eva) item.eva = Math.floor(base.eva * mult);
     if (base.crit) item.crit = Math.floor(base.crit * mult);
     if (base.critDmg) item.critDmg = Math.floor(base.critDmg * mult);
+}
 
-    if (rarity === 'legendary') gameState.stats.legendariesFound++;
+function isMythicUnlocked() {
+    return hasAscensionUnlock('mythic_gear');
+}
 
-    return item;
+/** Add a base item's mythic affix stats onto a stat block and return the affix name */
+function applyMythicAffix(target, baseName, mult) {
+    const affix = MYTHIC_AFFIXES[baseName];
+    if (!affix) return null;
+    for (const [stat, value] of Object.entries(affix.stats)) {
+        // Speed is a multiplier-sized stat, so it stays flat
+        const scaled = stat === 'spd' ? value : Math.floor(value * mult);
+        target[stat] = (target[stat] || 0) + scaled;
+    }
+    return affix.name;
 }
 
 function addToInventory(item) {
@@ -4317,7 +5862,16 @@ function addToInventory(item) {
         }
     }
 
-    if (gameState.run.inventory.length < 20) {
+    // Auto-sell filters from the prestige shop (never for gear the player crafted)
+    if (!item.crafted && gameState.settings.autoSell?.[item.rarity] && isAutoSellUnlocked(item.rarity)) {
+        const souls = ITEM_SELL_VALUES[item.rarity];
+        gameState.soulPoints += souls;
+        gameState.stats.soulsEarned = (gameState.stats.soulsEarned || 0) + souls;
+        addLog(`Auto-sold ${item.name} for ${souls} souls`, 'status');
+        return;
+    }
+
+    if (gameState.run.inventory.length < getInventorySize()) {
         gameState.run.inventory.push(item);
         updateInventoryUI();
     }
@@ -4335,8 +5889,14 @@ function isItemBetter(newItem, currentItem) {
         if (item.crit) value += item.crit * 2;
         if (item.critDmg) value += item.critDmg * 0.2;
         // Rarity bonus
-        const rarityBonus = { common: 0, uncommon: 5, rare: 15, epic: 30, legendary: 50 };
+        const rarityBonus = { common: 0, uncommon: 5, rare: 15, epic: 30, legendary: 50, mythic: 100 };
         value += rarityBonus[item.rarity] || 0;
+        // Effect affixes (stat affixes are already in the stats above)
+        (item.affixes || []).forEach(affix => {
+            for (const [key, amount] of Object.entries(affix.effect || {})) {
+                value += amount * (AFFIX_EFFECTS[key]?.value || 0);
+            }
+        });
         return value;
     };
     return getItemValue(newItem) > getItemValue(currentItem);
@@ -4400,8 +5960,7 @@ function sellAllCommon() {
         return;
     }
 
-    // Calculate soul value (5 souls per common item)
-    const soulsGained = commonItems.length * 5;
+    const soulsGained = commonItems.length * ITEM_SELL_VALUES.common;
     gameState.soulPoints += soulsGained;
     gameState.stats.soulsEarned = (gameState.stats.soulsEarned || 0) + soulsGained;
 
@@ -4454,11 +6013,12 @@ function updateInventoryUI() {
     if (!DOM.inventory_grid || !gameState.run) return;
     DOM.inventory_grid.innerHTML = '';
     const inv = gameState.run.inventory || [];
-    for (let i = 0; i < 20; i++) {
+    for (let i = 0; i < getInventorySize(); i++) {
         const div = document.createElement('div');
         div.className = 'inventory-item';
         if (inv[i]) {
             const item = inv[i];
+            if (item.rarity === 'mythic') div.classList.add('mythic');
             div.innerHTML = `<span class="item-emoji">${item.icon || EQUIPMENT_SLOT_ICONS[item.type] || '📦'}</span>`;
             div.style.borderColor = RARITY_COLORS[item.rarity];
             div.style.background = `linear-gradient(135deg, rgba(${hexToRgb(RARITY_COLORS[item.rarity])}, 0.2) 0%, transparent 100%)`;
@@ -4506,7 +6066,10 @@ function getItemStatsText(item) {
     if (item.eva) stats.push(`EVA +${item.eva}`);
     if (item.crit) stats.push(`CRIT +${item.crit}%`);
     if (item.critDmg) stats.push(`CRIT DMG +${item.critDmg}%`);
-    return stats.join(', ');
+    const lines = [stats.join(', ')];
+    (item.affixes || []).forEach(affix => lines.push(`◆ ${getAffixText(affix)}`));
+    if (item.affix) lines.push(`✦ Mythic affix: ${item.affix}`);
+    return lines.join('\n');
 }
 
 // ==========================================
@@ -4514,6 +6077,7 @@ function getItemStatsText(item) {
 // ==========================================
 
 function updatePrestigeUI() {
+    if (HEADLESS) return;
     const currentMult = gameState.prestigeMultiplier;
     const souls = gameState.soulPoints;
     const newMult = 1 + Math.sqrt(souls / 1000) * 0.1;
@@ -4521,24 +6085,127 @@ function updatePrestigeUI() {
     if (DOM.prestige_mult) DOM.prestige_mult.textContent = currentMult.toFixed(2);
     if (DOM.prestige_souls) DOM.prestige_souls.textContent = souls;
     if (DOM.prestige_new_mult) DOM.prestige_new_mult.textContent = newMult.toFixed(2);
+    if (DOM.prestige_tokens_row) {
+        DOM.prestige_tokens_row.hidden = !hasAscensionUnlock('prestige_shop');
+        DOM.prestige_tokens.textContent = getPrestigeTokenReward();
+    }
     if (DOM.prestige_btn) DOM.prestige_btn.disabled = souls < 100;
+    updatePrestigeShopUI();
 }
 
 function doPrestige() {
     if (gameState.soulPoints < 100) return;
 
+    const tokens = getPrestigeTokenReward();
     gameState.prestigeLevel++;
     gameState.prestigeMultiplier = 1 + Math.sqrt(gameState.soulPoints / 1000) * 0.1;
+    gameState.prestigeTokens += tokens;
     gameState.soulPoints = 0;
 
     // Reset run-specific things but keep upgrades
     addLog(`PRESTIGE! New multiplier: ${gameState.prestigeMultiplier.toFixed(2)}x`, 'level-up');
+    if (tokens > 0) addLog(`+${tokens} Prestige Token${tokens === 1 ? '' : 's'}`, 'level-up');
 
     saveGame();
     checkAchievements();
     startNewRun();
 }
 
+// --- PRESTIGE SHOP ---
+// Tokens earned by prestiging now; zero until Ascension unlocks the shop
+function getPrestigeTokenReward() {
+    if (!hasAscensionUnlock('prestige_shop') || gameState.soulPoints < 100) return 0;
+    return 1 + Math.floor(Math.sqrt(gameState.soulPoints / 10000));
+}
+
+function getPerkLevel(perkId) {
+    return gameState.prestigePerks[perkId] || 0;
+}
+
+function getPerkCost(perkId) {
+    const perk = PRESTIGE_PERKS[perkId];
+    return Math.floor(perk.baseCost * Math.pow(perk.costMult, getPerkLevel(perkId)));
+}
+
+function buyPrestigePerk(perkId) {
+    const perk = PRESTIGE_PERKS[perkId];
+    if (!perk || !hasAscensionUnlock('prestige_shop')) return;
+    if (getPerkLevel(perkId) >= perk.maxLevel) return;
+
+    const cost = getPerkCost(perkId);
+    if (gameState.prestigeTokens < cost) {
+        addLog('Not enough Prestige Tokens!', 'monster-action');
+        return;
+    }
+
+    gameState.prestigeTokens -= cost;
+    gameState.prestigePerks[perkId] = getPerkLevel(perkId) + 1;
+    addLog(`${perk.name} upgraded to level ${gameState.prestigePerks[perkId]}!`, 'level-up');
+    playSound('powerup');
+
+    if (perkId === 'deepPockets') updateInventoryUI();
+    if (perkId === 'reliquary') updateRelicsUI();
+    saveGame();
+    updatePrestigeShopUI();
+}
+
+// Head Start is ignored where the floor count is the challenge itself
+function getStartingFloor() {
+    const modifiers = GAME_MODES[gameState.currentGameMode]?.modifiers || {};
+    if (modifiers.timer || modifiers.seeded) return 1;
+    return 1 + getPerkLevel('headStart') * PRESTIGE_PERKS.headStart.perLevel;
+}
+
+function getInventorySize() {
+    return BASE_INVENTORY_SIZE + getPerkLevel('deepPockets') * PRESTIGE_PERKS.deepPockets.perLevel;
+}
+
+function isAutoSellUnlocked(rarity) {
+    return AUTO_SELL_RARITIES.indexOf(rarity) !== -1 && AUTO_SELL_RARITIES.indexOf(rarity) < getPerkLevel('autoSell');
+}
+
+function toggleAutoSell(rarity) {
+    if (!isAutoSellUnlocked(rarity)) return;
+    gameState.settings.autoSell[rarity] = !gameState.settings.autoSell[rarity];
+    saveGame();
+    updatePrestigeShopUI();
+}
+
+function updatePrestigeShopUI() {
+    const unlocked = hasAscensionUnlock('prestige_shop');
+    const tab = document.querySelector('.shop-tab[data-tab="perks"]');
+    if (tab) tab.hidden = !unlocked;
+
+    const container = document.getElementById('prestige-shop');
+    if (!container || !unlocked) return;
+
+    container.innerHTML = `<p class="prestige-token-balance">🏅 ${gameState.prestigeTokens} Prestige Token${gameState.prestigeTokens === 1 ? '' : 's'}</p>` +
+        Object.entries(PRESTIGE_PERKS).map(([id, perk]) => {
+            const level = getPerkLevel(id);
+            const maxed = level >= perk.maxLevel;
+            const cost = getPerkCost(id);
+            const filters = id === 'autoSell' && level > 0 ? `
+                <div class="auto-sell-filters">
+                    ${AUTO_SELL_RARITIES.filter(isAutoSellUnlocked).map(rarity => `
+                        <label style="color: ${RARITY_COLORS[rarity]}">
+                            <input type="checkbox" ${gameState.settings.autoSell[rarity] ? 'checked' : ''} onchange="toggleAutoSell('${rarity}')"> ${rarity}
+                        </label>`).join('')}
+                </div>` : '';
+            return `
+            <div class="perk-item${maxed ? ' maxed' : ''}">
+                <span class="perk-icon">${perk.icon}</span>
+                <div class="perk-info">
+                    <span class="perk-name">${perk.name} <span class="perk-level">${level}/${perk.maxLevel}</span></span>
+                    <span class="perk-desc">${perk.desc}</span>
+                    ${filters}
+                </div>
+                <button class="perk-buy-btn" onclick="buyPrestigePerk('${id}')" ${maxed || gameState.prestigeTokens < cost ? 'disabled' : ''}>
+                    ${maxed ? 'MAX' : `${cost} 🏅`}
+                </button>
+            </div>`;
+        }).join('');
+}
+
 // ==========================================
 // ACHIEVEMENTS
 // ==========================================
@@ -4556,6 +6223,7 @@ function checkAchievements() {
 }
 
 function showAchievementPopup(name) {
+    if (HEADLESS) return;
     if (DOM.achievement_popup_name) DOM.achievement_popup_name.textContent = name;
     const popup = document.getElementById('achievement-popup');
     if (popup) {
@@ -4629,6 +6297,7 @@ function checkTileInteraction() {
 }
 
 function openRoomEventModal(event) {
+    if (HEADLESS) return; // Simulated players are idle and let the event auto-skip
     const eventData = ROOM_EVENTS[event.type];
     const modal = document.getElementById('room-event-modal');
     const title = document.getElementById('room-event-name');
@@ -4663,6 +6332,7 @@ function activateRoomEvent(event) {
     switch (effect.type) {
         case 'buff':
             gameState.runBuffs.push({
+                source: ROOM_EVENTS[event.type].name,
                 stat: effect.stat,
                 value: effect.value,
                 duration: effect.duration,
@@ -4673,6 +6343,10 @@ function activateRoomEvent(event) {
             break;
 
         case 'heal':
+            if (isHealingBlocked()) {
+                addLog('The fountain\'s waters have no effect on you.', 'monster-action');
+                break;
+            }
             const healAmt = Math.floor(gameState.run.maxHp * effect.value);
             gameState.run.currentHp = Math.min(gameState.run.maxHp, gameState.run.currentHp + healAmt);
             showDamageNumber(gameState.player.x, gameState.player.y, healAmt, 'heal', false);
@@ -4697,12 +6371,14 @@ function activateRoomEvent(event) {
             break;
 
         case 'gamble':
-            if (Math.random() < 0.5) {
-                gameState.soulPoints += effect.good.souls;
-                addLog(`The altar rewards you with ${effect.good.souls} Soul Points!`, 'level-up');
+            if (gameRandom() < 0.5) {
+                const altarSouls = Math.floor(effect.good.souls * getGameModeModifier('rewardMult'));
+                gameState.soulPoints += altarSouls;
+                addLog(`The altar rewards you with ${altarSouls} Soul Points!`, 'level-up');
             } else {
-                const dmg = Math.floor(gameState.run.maxHp * effect.bad.damage);
+                const dmg = absorbWithShield(Math.floor(gameState.run.maxHp * effect.bad.damage));
                 gameState.run.currentHp -= dmg;
+                gameState.run.lastHitBy = { name: 'Altar Curse' };
                 showDamageNumber(gameState.player.x, gameState.player.y, dmg, 'player-damage', false);
                 addLog(`The altar's curse damages you for ${dmg}!`, 'monster-action');
                 if (gameState.run.currentHp <= 0) playerDefeated();
@@ -4713,6 +6389,7 @@ function activateRoomEvent(event) {
         case 'sacrifice':
             const sacrificeDmg = Math.floor(gameState.run.maxHp * effect.cost);
             gameState.run.currentHp -= sacrificeDmg;
+            gameState.run.lastHitBy = { name: 'Altar Sacrifice' };
             gameState.runBuffs.push({ stat: 'attack', value: effect.reward.attack, permanent: true });
             showDamageNumber(gameState.player.x, gameState.player.y, sacrificeDmg, 'player-damage', false);
             addLog(`Sacrificed ${sacrificeDmg} HP for +${effect.reward.attack} Attack!`, 'level-up');
@@ -4743,28 +6420,39 @@ function openChest(chest) {
     gameState.chestsCollected++;
     gameState.grid[chest.y][chest.x] = TILE.FLOOR;
 
+    const contents = openChestReward();
+
+    if (!HEADLESS) {
+        DOM.chest_contents.innerHTML = contents.map(c => `<div class="chest-item">${c}</div>`).join('');
+        DOM.chest_modal.classList.add('active');
+
+        // Auto-close after 5 seconds
+        startModalTimer('chest-modal', 5, closeChestModal);
+    }
+
+    addLog(`Opened chest! Found ${contents.join(', ')}`, 'level-up');
+    checkAchievements();
+}
+
+/**
+ * Grants one chest's loot (souls and a possible item)
+ * @returns {string[]} Descriptions of what was found
+ */
+function openChestReward() {
     const contents = [];
     // Soul points
-    const souls = Math.floor(10 + gameState.run.floor * 2 + Math.random() * 20);
+    const souls = Math.floor((10 + gameState.run.floor * 2 + gameRandom() * 20) * getGameModeModifier('rewardMult'));
     gameState.soulPoints += souls;
     gameState.stats.soulsEarned = (gameState.stats.soulsEarned || 0) + souls;
     contents.push(`${souls} Soul Points`);
 
     // Equipment chance
-    if (Math.random() < 0.5) {
+    if (gameRandom() < 0.5) {
         const item = generateEquipment(gameState.run.floor, 1);
         addToInventory(item);
         contents.push(item.name);
     }
-
-    DOM.chest_contents.innerHTML = contents.map(c => `<div class="chest-item">${c}</div>`).join('');
-    DOM.chest_modal.classList.add('active');
-
-    // Auto-close after 5 seconds
-    startModalTimer('chest-modal', 5, closeChestModal);
-
-    addLog(`Opened chest! Found ${contents.join(', ')}`, 'level-up');
-    checkAchievements();
+    return contents;
 }
 
 function closeChestModal() {
@@ -4793,6 +6481,7 @@ function triggerTrap(trap) {
 }
 
 function openNPCDialog(npc) {
+    if (HEADLESS) return; // Simulated players are idle and let the dialog time out
     DOM.npc_name.textContent = npc.name;
     DOM.npc_dialog.textContent = npc.dialog;
     DOM.npc_portrait.style.background = npc.portrait;
@@ -4908,6 +6597,8 @@ function update(dt) {
     const r = gameState.run;
     if (!r) return;
 
+    advancePathfindingTick();
+
     // Update visual effects
     updateVisualEffects(dt);
 
@@ -4928,6 +6619,11 @@ function update(dt) {
         gameState.challengeTimer += dt;
     }
 
+    // Speedrun timer runs on game time, so game speed doesn't skew splits
+    if (isSpeedrun()) {
+        gameState.gameModeTimer += dt;
+    }
+
     // Update new systems
     updateComboSystem(dt);
     updateDodgeSystem(dt);
@@ -4940,7 +6636,7 @@ function update(dt) {
     renderWeatherParticles();
 
     // Pet regeneration (Phoenix pet heals over time)
-    if (gameState.activePet === 'phoenix') {
+    if (gameState.activePet === 'phoenix' && !isHealingBlocked()) {
         const pet = PET_TYPES.find(p => p.id === 'phoenix');
         if (pet && pet.healBonus) {
             const healAmount = Math.floor(r.maxHp * pet.healBonus * dt);
@@ -4968,7 +6664,7 @@ function update(dt) {
         if (gameState.exitSpawned && gameState.exitPosition) {
             const exitDist = heuristic(gameState.player.x, gameState.player.y, gameState.exitPosition.x, gameState.exitPosition.y);
             if (exitDist > 0) {
-                r.moveTimer = (r.moveTimer || 0) + dt * r.speed;
+                r.moveTimer = (r.moveTimer || 0) + dt * r.speed * getWebSlow();
                 if (r.moveTimer >= 0.75) {
                     r.moveTimer = 0;
                     const path = findPath(gameState.player.x, gameState.player.y, gameState.exitPosition.x, gameState.exitPosition.y);
@@ -5022,7 +6718,7 @@ function update(dt) {
 
     // Player movement towards target
     if (moveTarget && moveTargetDist > 1) {
-        r.moveTimer = (r.moveTimer || 0) + dt * r.speed;
+        r.moveTimer = (r.moveTimer || 0) + dt * r.speed * getWebSlow();
         if (r.moveTimer >= 0.75) {
             r.moveTimer = 0;
             let path = findPath(gameState.player.x, gameState.player.y, moveTarget.x, moveTarget.y);
@@ -5082,52 +6778,10 @@ function update(dt) {
         const distToPlayer = heuristic(m.x, m.y, gameState.player.x, gameState.player.y);
 
         // Monster AI
-        if (distToPlayer <= 1) {
-            // Combat
-            m.attackTimer = (m.attackTimer || 0) + dt * m.speed;
-            if (m.attackTimer >= 1) {
-                m.attackTimer = 0;
-                monsterAttack(m);
-            }
-        } else if (distToPlayer <= 10) {
-            // Chase - same speed as player
-            m.moveTimer = (m.moveTimer || 0) + dt * m.speed;
-            if (m.moveTimer >= 0.75) {
-                m.moveTimer = 0;
-                const path = findPath(m.x, m.y, gameState.player.x, gameState.player.y);
-                if (path.length > 0) {
-                    m.x = path[0].x;
-                    m.y = path[0].y;
-                }
-            }
-        } else {
-            // Patrol - same speed as player
-            m.moveTimer = (m.moveTimer || 0) + dt * m.speed;
-            if (m.moveTimer >= 0.75) {
-                m.moveTimer = 0;
-                if (!m.patrolTarget || (m.x === m.patrolTarget.x && m.y === m.patrolTarget.y)) {
-                    m.patrolTarget = findValidPosition();
-                }
-                if (m.patrolTarget) {
-                    const path = findPath(m.x, m.y, m.patrolTarget.x, m.patrolTarget.y);
-                    if (path.length > 0) {
-                        m.x = path[0].x;
-                        m.y = path[0].y;
-                    }
-                }
-            }
-        }
+        updateMonsterBehavior(m, distToPlayer, dt);
 
-        // Boss abilities
-        if (m.isBoss && m.abilities) {
-            m.abilities.forEach(ability => {
-                ability.timer = (ability.timer || 0) + dt;
-                if (ability.timer >= ability.cooldown) {
-                    ability.timer = 0;
-                    useBossAbility(m, ability);
-                }
-            });
-        }
+        // Boss moveset
+        if (m.isBoss) updateBossMoveset(m, distToPlayer, dt);
 
         // Mini-boss abilities
         if (m.isMiniBoss) {
@@ -5136,6 +6790,11 @@ function update(dt) {
         }
     });
 
+    // Telegraphed attacks land once their wind-up runs out
+    updateTelegraphs(dt);
+    updateWebs(dt);
+    if (!gameState.gameRunning) return;
+
     // Player combat - use class attack range
     const classData = CLASSES[gameState.selectedClass] || CLASSES.warrior;
     const attackRange = classData.attackRange || 1;
@@ -5175,6 +6834,62 @@ function update(dt) {
     updateAllUI();
 }
 
+// --- ULTIMATE SKILLS ---
+function getUltimateSkill() {
+    if (!hasAscensionUnlock('ultimate_skills')) return null;
+    return ULTIMATE_SKILLS[gameState.selectedClass] || null;
+}
+
+function chargeUltimate(amount) {
+    const r = gameState.run;
+    if (!r || !getUltimateSkill()) return;
+    const wasReady = isUltimateReady();
+    r.ultimateCharge = Math.min(ULTIMATE_CONFIG.maxCharge, (r.ultimateCharge || 0) + amount);
+    if (!wasReady && isUltimateReady()) {
+        addLog(`${getUltimateSkill().name} is ready! [X]`, 'level-up');
+    }
+}
+
+function isUltimateReady() {
+    return !!getUltimateSkill() && (gameState.run?.ultimateCharge || 0) >= ULTIMATE_CONFIG.maxCharge;
+}
+
+function useUltimate() {
+    const ultimate = getUltimateSkill();
+    if (!ultimate || !isUltimateReady() || !gameState.gameRunning) return;
+
+    addScreenFlash('#ffd700', 0.35, 0.2);
+    playSound('levelup');
+    castSkill(gameState.selectedClass, ultimate);
+    // Reset afterwards so the ultimate's own hits don't refund charge
+    gameState.run.ultimateCharge = 0;
+    updateUltimateUI();
+}
+
+// Charge meter shown beside the active skills
+function updateUltimateUI() {
+    if (HEADLESS) return;
+    const slot = document.getElementById('ultimate-slot');
+    if (!slot) return;
+
+    const ultimate = getUltimateSkill();
+    slot.hidden = !ultimate;
+    if (!ultimate) return;
+
+    const charge = Math.floor(gameState.run?.ultimateCharge || 0);
+    const ready = charge >= ULTIMATE_CONFIG.maxCharge;
+    slot.classList.toggle('ready', ready);
+    slot.title = ultimate.desc;
+    slot.innerHTML = `
+        <div class="skill-icon">${ultimate.icon}</div>
+        <div class="ultimate-info">
+            <span class="skill-name">${ultimate.name}</span>
+            <div class="ultimate-meter"><div class="ultimate-fill" style="width: ${charge / ULTIMATE_CONFIG.maxCharge * 100}%"></div></div>
+        </div>
+        <span class="skill-key">${ready ? 'READY [X]' : `${charge}%`}</span>
+    `;
+}
+
 // Auto-skill system - uses skills intelligently based on situation
 function autoUseSkills(closestMonster, closestDist) {
     const r = gameState.run;
@@ -5196,8 +6911,19 @@ function autoUseSkills(closestMonster, closestDist) {
         return true;
     };
 
+    // Ultimate: spend a full charge on bosses, crowds or emergencies
+    if (isUltimateReady() && inCombat) {
+        const crowd = gameState.monsters.filter(m =>
+            heuristic(gameState.player.x, gameState.player.y, m.x, m.y) <= 4
+        ).length;
+        if (closestMonster.isBoss || closestMonster.isMiniBoss || crowd >= 3 || hpPercent < 0.3) {
+            useUltimate();
+            return;
+        }
+    }
+
     // Priority 1: Heal when HP is low (below 40%)
-    if (hpPercent < 0.4 && canUseSkill('heal')) {
+    if (hpPercent < 0.4 && !isHealingBlocked() && canUseSkill('heal')) {
         useSkill('heal');
         return;
     }
@@ -5216,6 +6942,10 @@ function autoUseSkills(closestMonster, closestDist) {
             useSkill('arcaneShield');
             return;
         }
+        if (canUseSkill('divineShield')) {
+            useSkill('divineShield');
+            return;
+        }
     }
 
     // Priority 3: Use offensive skills when in combat
@@ -5229,6 +6959,16 @@ function autoUseSkills(closestMonster, closestDist) {
             useSkill('whirlwind');
             return;
         }
+        if (nearbyEnemies >= 2 && canUseSkill('consecration')) {
+            useSkill('consecration');
+            return;
+        }
+
+        // Holy Strike doubles as a heal, so hold it until some HP is missing
+        if (canUseSkill('holyStrike') && (hpPercent < 0.8 || isHealingBlocked())) {
+            useSkill('holyStrike');
+            return;
+        }
 
         // High damage skills
         if (canUseSkill('backstab')) {
@@ -5275,38 +7015,17 @@ function autoUseSkills(closestMonster, closestDist) {
             useSkill('berserkerRage');
             return;
         }
+        if (canUseSkill('devotionAura')) {
+            useSkill('devotionAura');
+            return;
+        }
     }
-}
 
-function useBossAbility(boss, ability) {
-    switch (ability.type) {
-        case 'aoe':
-            const aoeDmg = Math.floor(boss.attack * ability.damage);
-            gameState.run.currentHp -= aoeDmg;
-            showDamageNumber(gameState.player.x, gameState.player.y, aoeDmg, 'player-damage', true);
-            addLog(`${boss.name} uses AoE attack!`, 'monster-action');
-            break;
-        case 'summon':
-            for (let i = 0; i < ability.count; i++) {
-                const pos = findDistantPosition(boss.x, boss.y, 3);
-                if (pos) {
-                    const minion = generateMonster(gameState.run.floor - 5, false, false);
-                    minion.x = pos.x;
-                    minion.y = pos.y;
-                    minion.statusEffects = [];
-                    gameState.monsters.push(minion);
-                }
-            }
-            addLog(`${boss.name} summons minions!`, 'monster-action');
-            break;
-        case 'heal':
-            const healAmt = Math.floor(boss.maxHp * ability.amount);
-            boss.currentHp = Math.min(boss.maxHp, boss.currentHp + healAmt);
-            showDamageNumber(boss.x, boss.y, healAmt, 'heal', false);
-            addLog(`${boss.name} heals!`, 'monster-action');
-            break;
+    // Paladins keep their aura up whenever a fight is close
+    if (inCombat && canUseSkill('consecration') && hpPercent < 0.7) {
+        useSkill('consecration');
+        return;
     }
-    updatePlayerHealthBar();
 }
 
 function useMiniBossAbility(m, distToPlayer, dt) {
@@ -5326,7 +7045,7 @@ function useMiniBossAbility(m, distToPlayer, dt) {
             // Guardian: Gains shield every 8 seconds
             if (m.abilityTimer >= 8) {
                 m.abilityTimer = 0;
-                m.shield = Math.floor(m.maxHp * 0.2);
+                m.shield = m.maxShield = Math.floor(m.maxHp * 0.2);
                 addLog(`${m.name} raises a shield!`, 'monster-action');
             }
             break;
@@ -5343,12 +7062,13 @@ function useMiniBossAbility(m, distToPlayer, dt) {
                     { x: gameState.player.x, y: gameState.player.y - 1 }
                 ].filter(p => p.x >= 0 && p.x < GRID_WIDTH && p.y >= 0 && p.y < GRID_HEIGHT && gameState.grid[p.y][p.x] === TILE.FLOOR);
                 if (positions.length) {
-                    const pos = positions[Math.floor(Math.random() * positions.length)];
+                    const pos = positions[Math.floor(gameRandom() * positions.length)];
                     m.x = pos.x;
                     m.y = pos.y;
                     // Bonus damage strike
-                    const dmg = Math.floor(m.attack * 2);
+                    const dmg = absorbWithShield(runRelicHooks('onDamageTaken', { source: m, damage: Math.floor(m.attack * 2) }).damage);
                     gameState.run.currentHp -= dmg;
+                    gameState.run.lastHitBy = { name: m.name, move: 'Shadow Strike' };
                     showDamageNumber(gameState.player.x, gameState.player.y, dmg, 'player-damage', true);
                     addLog(`${m.name} shadow strikes for ${dmg}!`, 'crit');
                     gameState.screenShake = 6;
@@ -5363,9 +7083,7 @@ function useMiniBossAbility(m, distToPlayer, dt) {
                 for (let i = 0; i < 2; i++) {
                     const pos = findDistantPosition(m.x, m.y, 3);
                     if (pos) {
-                        const minion = generateMonster(Math.max(1, gameState.run.floor - 3), false, false);
-                        minion.name = 'Skeleton';
-                        minion.color = '#c0c0c0';
+                        const minion = generateMonster(Math.max(1, gameState.run.floor - 3), false, false, MONSTER_TYPES.find(t => t.name === 'Skeleton'));
                         minion.x = pos.x;
                         minion.y = pos.y;
                         minion.moveTimer = 0;
@@ -5393,6 +7111,13 @@ function updateRunBuffs(dt) {
     let needsRecalc = false;
     gameState.runBuffs = gameState.runBuffs.filter(buff => {
         if (buff.permanent) return true;
+        if (buff.stat === 'aura') {
+            buff.pulse += dt;
+            while (buff.pulse >= 1) {
+                buff.pulse -= 1;
+                pulseAura(buff);
+            }
+        }
         buff.timer -= dt;
         if (buff.timer <= 0) {
             needsRecalc = true;
@@ -5405,6 +7130,33 @@ function updateRunBuffs(dt) {
     if (needsRecalc && gameState.run) {
         const newStats = calculatePlayerStats();
         Object.assign(gameState.run, newStats);
+        syncPlayerShield();
+    }
+}
+
+/**
+ * One tick of a holy aura: damages monsters within its radius and heals the player
+ * @param {Object} buff - Run buff with stat 'aura'
+ */
+function pulseAura(buff) {
+    const r = gameState.run;
+    const dmg = Math.max(1, Math.floor(r.attack * buff.value));
+    gameState.monsters.filter(m => m.currentHp > 0 &&
+        heuristic(gameState.player.x, gameState.player.y, m.x, m.y) <= buff.radius
+    ).forEach(m => {
+        m.currentHp -= dmg;
+        gameState.stats.totalDamageDealt = (gameState.stats.totalDamageDealt || 0) + dmg;
+        logDamage(dmg, 'player');
+        showDamageNumber(m.x, m.y, dmg, 'monster-damage', false);
+        spawnParticles(m.x * TILE_SIZE + TILE_SIZE / 2, m.y * TILE_SIZE + TILE_SIZE / 2, 'gold', 4);
+        if (m.currentHp <= 0) monsterDefeated(m);
+    });
+
+    if (!isHealingBlocked() && r.currentHp < r.maxHp) {
+        const healAmt = Math.max(1, Math.floor(r.maxHp * buff.heal * getDayNightModifier('healing')));
+        r.currentHp = Math.min(r.maxHp, r.currentHp + healAmt);
+        gameState.stats.totalHealing += healAmt;
+        showDamageNumber(gameState.player.x, gameState.player.y, healAmt, 'heal', false);
     }
 }
 
@@ -5448,8 +7200,8 @@ function render() {
     if (gameState.screenShake > 0) {
         const shake = gameState.screenShake;
         ctx.translate(
-            (Math.random() - 0.5) * shake,
-            (Math.random() - 0.5) * shake
+            (visualRandom() - 0.5) * shake,
+            (visualRandom() - 0.5) * shake
         );
     }
 
@@ -5852,13 +7604,13 @@ function render() {
 
     // Draw ambient particles (dust motes, etc)
     if (!gameState.ambientParticles) gameState.ambientParticles = [];
-    if (gameState.ambientParticles.length < 20 && Math.random() < 0.1) {
+    if (gameState.ambientParticles.length < 20 && visualRandom() < 0.1) {
         gameState.ambientParticles.push({
-            x: Math.random() * canvas.width,
-            y: Math.random() * canvas.height,
-            size: 1 + Math.random() * 2,
-            speed: 0.2 + Math.random() * 0.3,
-            alpha: 0.1 + Math.random() * 0.2
+            x: visualRandom() * canvas.width,
+            y: visualRandom() * canvas.height,
+            size: 1 + visualRandom() * 2,
+            speed: 0.2 + visualRandom() * 0.3,
+            alpha: 0.1 + visualRandom() * 0.2
         });
     }
     gameState.ambientParticles = gameState.ambientParticles.filter(p => {
@@ -5883,6 +7635,10 @@ function render() {
         ctx.globalAlpha = 1;
     });
 
+    // Spider Queen webs and telegraphed attacks
+    renderWebs();
+    renderTelegraphs(time);
+
     // Draw monsters with enhanced visuals (sprites with procedural fallback)
     gameState.monsters.forEach(m => {
         const mx = m.x * TILE_SIZE + TILE_SIZE / 2;
@@ -5890,6 +7646,10 @@ function render() {
         const bounce = Math.sin(time * 5 + m.x + m.y) * 1; // Idle bounce
         const spriteSize = (m.isBoss ? TILE_SIZE * 1.2 : (m.isMiniBoss ? TILE_SIZE * 1.1 : TILE_SIZE * 0.9));
 
+        // Hidden ambushers are only a faint shape until they spring
+        ctx.save();
+        if (m.ambushing) ctx.globalAlpha = 0.3;
+
         // Try sprite rendering for monster body
         const spriteRendered = renderMonsterSprite(ctx, m, mx, my + bounce, spriteSize, {
             flipX: gameState.player.x < m.x
@@ -5910,6 +7670,7 @@ function render() {
             ctx.beginPath();
             ctx.roundRect(mx - barWidth/2, barY, barWidth * hpPercent, barHeight, 2);
             ctx.fill();
+            ctx.restore();
             return; // Skip procedural rendering
         }
 
@@ -5939,9 +7700,9 @@ function render() {
         ctx.roundRect(mx - barWidth/2, barY, barWidth * hpPercent, barHeight, 2);
         ctx.fill();
 
-        // Shield bar (for Guardian mini-boss)
+        // Shield bar (Guardian mini-boss and Bone Armor), drawn against the shield's starting value
         if (m.shield && m.shield > 0) {
-            const shieldPercent = m.shield / (m.maxHp * 0.2);
+            const shieldPercent = Math.min(1, m.shield / (m.maxShield || m.shield));
             ctx.fillStyle = '#3498db';
             ctx.beginPath();
             ctx.roundRect(mx - barWidth/2, barY - 5, barWidth * shieldPercent, 3, 1);
@@ -5972,6 +7733,7 @@ function render() {
             ctx.arc(mx, barY - 6, 3, 0, Math.PI * 2);
             ctx.fill();
         }
+        ctx.restore();
     });
 
     // Draw pet with enhanced visuals (sprites with procedural fallback)
@@ -6069,6 +7831,9 @@ function render() {
                 case 'evasion':
                     auraColor = '#666666'; // Gray for smoke/evasion
                     break;
+                case 'aura':
+                    auraColor = '#ffd700'; // Gold for holy ground
+                    break;
                 default:
                     auraColor = '#ffdd00'; // Gold default
             }
@@ -6100,8 +7865,8 @@ function render() {
             ctx.fill();
 
             // Buff particles
-            if (Math.random() < 0.1) {
-                const angle = Math.random() * Math.PI * 2;
+            if (visualRandom() < 0.1) {
+                const angle = visualRandom() * Math.PI * 2;
                 spawnParticles(
                     px + Math.cos(angle) * auraRadius * 0.8,
                     py + playerBounce + Math.sin(angle) * auraRadius * 0.8,
@@ -6320,6 +8085,12 @@ function render() {
     // Render DPS meter
     renderDPSMeter();
 
+    // Render speedrun timer
+    renderSpeedrunTimer();
+
+    // Render boss health bar
+    renderBossHealthBar();
+
     // Render combo counter if active
     if (gameState.comboCount >= 5) {
         const threshold = getComboThreshold();
@@ -6410,9 +8181,27 @@ function render() {
 
 function getCurrentBiome() {
     const floor = gameState.run?.floor || 1;
+    const lastFloor = BIOMES[BIOMES.length - 1].floors[1];
+    if (floor > lastFloor && getGameModeModifier('noFloorCap')) return getEndlessBiome(floor);
     return BIOMES.find(b => floor >= b.floors[0] && floor <= b.floors[1]) || BIOMES[0];
 }
 
+// Past the last biome, Endless cycles through BIOMES again with a per-cycle palette shift
+function getEndlessBiome(floor) {
+    const lastFloor = BIOMES[BIOMES.length - 1].floors[1];
+    const cycle = Math.floor((floor - 1) / lastFloor);
+    const cycleFloor = ((floor - 1) % lastFloor) + 1;
+    const base = BIOMES.find(b => cycleFloor >= b.floors[0] && cycleFloor <= b.floors[1]) || BIOMES[0];
+    const shade = ((cycle * 37) % 31) - 15; // Deterministic -15..15 per cycle
+
+    return {
+        ...base,
+        floorColor: shadeColor(base.floorColor, shade),
+        wallColor: shadeColor(base.wallColor, -shade),
+        displayName: `${base.name} (Cycle ${cycle + 1})`
+    };
+}
+
 function shadeColor(color, percent) {
     const num = parseInt(color.replace('#', ''), 16);
     const amt = Math.round(2.55 * percent);
@@ -6427,6 +8216,7 @@ function shadeColor(color, percent) {
 // ==========================================
 
 function updateAllUI() {
+    if (HEADLESS) return;
     if (!gameState.run) return;
     const r = gameState.run;
 
@@ -6439,10 +8229,10 @@ function updateAllUI() {
 
     // Biome
     const biome = getCurrentBiome();
-    if (DOM.biome_indicator) DOM.biome_indicator.textContent = biome.name;
+    if (DOM.biome_indicator) DOM.biome_indicator.textContent = biome.displayName || biome.name;
 
     // Floor type
-    const isBoss = r.floor % 10 === 0;
+    const isBoss = isBossRush() || r.floor % 10 === 0;
     const isMiniBoss = !isBoss && r.floor % 5 === 0 && r.floor > 0;
     if (DOM.floor_type) {
         DOM.floor_type.textContent = isBoss ? 'BOSS' : (isMiniBoss ? 'MINI-BOSS' : `Floor ${r.floor}`);
@@ -6457,6 +8247,7 @@ function updateAllUI() {
     if (DOM.stat_evasion) DOM.stat_evasion.textContent = r.evasion + '%';
     if (DOM.stat_crit_chance) DOM.stat_crit_chance.textContent = r.critChance + '%';
     if (DOM.stat_crit_damage) DOM.stat_crit_damage.textContent = r.critDamage + '%';
+    updateStatModifiersUI();
 
     // Class
     if (DOM.class_name) DOM.class_name.textContent = CLASSES[gameState.selectedClass]?.name || 'None';
@@ -6598,17 +8389,19 @@ function formatTime(ms) {
 // ==========================================
 
 function showDamageNumber(tx, ty, amount, type, isCrit) {
+    if (HEADLESS) return;
     if (!gameState.settings.showDamage) return;
     const el = document.createElement('div');
     el.className = `damage-number ${type}${isCrit ? ' crit' : ''}`;
     el.textContent = (type === 'heal' ? '+' : type === 'dodge' ? '' : '-') + amount;
-    el.style.left = (tx * TILE_SIZE + TILE_SIZE / 2 + (Math.random() * 16 - 8)) + 'px';
+    el.style.left = (tx * TILE_SIZE + TILE_SIZE / 2 + (visualRandom() * 16 - 8)) + 'px';
     el.style.top = (ty * TILE_SIZE) + 'px';
     DOM.damage_container?.appendChild(el);
     setTimeout(() => el.remove(), 800);
 }
 
 function addFloatingText(tx, ty, text, color = '#ffffff', duration = 1.0) {
+    if (HEADLESS) return;
     const el = document.createElement('div');
     el.className = 'damage-number floating-text';
     el.textContent = text;
@@ -6621,6 +8414,7 @@ function addFloatingText(tx, ty, text, color = '#ffffff', duration = 1.0) {
 }
 
 function addLog(msg, type = '') {
+    if (HEADLESS) return;
     if (!gameState.settings.showLog || !DOM.combat_log) return;
     const entry = document.createElement('div');
     entry.className = `log-entry ${type}`;
@@ -6681,17 +8475,363 @@ function purchaseSpecialItem(key) {
 // ==========================================
 
 const SAVE_KEY = 'idleDungeonRunner_v2';
+const SAVE_VERSION = 9;
+
+// --- SAVE PROFILES ---
+// Each profile is a full, independent save; the index only tracks names and the active one
+const PROFILES_KEY = 'idleDungeonRunner_profiles';
+const DEFAULT_PROFILE_ID = 'default';
+
+/**
+ * Reads the profile index, creating the default profile on first use
+ * @returns {{activeId: string, profiles: Array<{id: string, name: string}>}} Profile index
+ */
+function loadProfiles() {
+    try {
+        const index = JSON.parse(localStorage.getItem(PROFILES_KEY));
+        if (index && Array.isArray(index.profiles) && index.profiles.length > 0) {
+            if (!index.profiles.some(p => p.id === index.activeId)) index.activeId = index.profiles[0].id;
+            return index;
+        }
+    } catch (e) {
+        console.error('Profile index unreadable:', e);
+    }
+    return { activeId: DEFAULT_PROFILE_ID, profiles: [{ id: DEFAULT_PROFILE_ID, name: 'Default Save' }] };
+}
+
+function saveProfiles(index) {
+    localStorage.setItem(PROFILES_KEY, JSON.stringify(index));
+}
+
+// The default profile keeps the original key so existing saves carry over untouched
+function getProfileSaveKey(profileId) {
+    return profileId === DEFAULT_PROFILE_ID ? SAVE_KEY : `${SAVE_KEY}_${profileId}`;
+}
+
+let activeSaveKey = getProfileSaveKey(HEADLESS ? DEFAULT_PROFILE_ID : loadProfiles().activeId);
+
+function createProfile(name) {
+    const index = loadProfiles();
+    const profile = { id: Date.now().toString(36) + Math.floor(Math.random() * 1296).toString(36), name: name || `Save ${index.profiles.length + 1}` };
+    index.profiles.push(profile);
+    saveProfiles(index);
+    return profile;
+}
+
+function renameProfile(profileId, name) {
+    const index = loadProfiles();
+    const profile = index.profiles.find(p => p.id === profileId);
+    if (!profile || !name) return false;
+    profile.name = name.slice(0, 24);
+    saveProfiles(index);
+    return true;
+}
+
+function duplicateProfile(profileId) {
+    const index = loadProfiles();
+    const source = index.profiles.find(p => p.id === profileId);
+    if (!source) return null;
+
+    const copy = createProfile(`${source.name} (Copy)`);
+    const data = localStorage.getItem(getProfileSaveKey(profileId));
+    if (data) localStorage.setItem(getProfileSaveKey(copy.id), data);
+    return copy;
+}
+
+function deleteProfile(profileId) {
+    const index = loadProfiles();
+    if (index.profiles.length <= 1) return false; // Always keep one profile
+
+    index.profiles = index.profiles.filter(p => p.id !== profileId);
+    if (index.activeId === profileId) index.activeId = index.profiles[0].id;
+    saveProfiles(index);
+    localStorage.removeItem(getProfileSaveKey(profileId));
+    activeSaveKey = getProfileSaveKey(index.activeId);
+    return true;
+}
+
+function switchProfile(profileId) {
+    const index = loadProfiles();
+    if (!index.profiles.some(p => p.id === profileId)) return false;
+    index.activeId = profileId;
+    saveProfiles(index);
+    activeSaveKey = getProfileSaveKey(profileId);
+    return true;
+}
+
+/**
+ * Summarizes a profile's save for the slot list
+ * @param {string} profileId - Profile to read
+ * @returns {Object|null} Summary, or null for an empty or unreadable save
+ */
+function getProfileSummary(profileId) {
+    const raw = localStorage.getItem(getProfileSaveKey(profileId));
+    if (!raw) return null;
+    try {
+        const data = parseSave(raw);
+        return {
+            selectedClass: data.selectedClass,
+            bestFloor: data.bestFloor,
+            prestigeLevel: data.prestigeLevel,
+            ascensionTier: data.ascensionTier,
+            timePlayed: data.stats.timePlayed || 0,
+            totalRuns: data.totalRuns,
+            activeRun: data.activeRun,
+            bossesKilled: data.stats.bossesKilled || 0,
+            selectedGameMode: data.selectedGameMode,
+            modeBests: data.modeBests
+        };
+    } catch (e) {
+        return null;
+    }
+}
+
+// Ordered migration chain: SAVE_MIGRATIONS[i] upgrades a version i + 1 save to i + 2.
+// Saves written before the version field existed are treated as version 1.
+const SAVE_MIGRATIONS = [
+    // 1 -> 2: unversioned saves already use the v2 field layout
+    data => data,
+    // 2 -> 3: crafting, pet progression and skill tree became persistent
+    data => ({
+        ...data,
+        craftingMaterials: {},
+        petLevels: {},
+        petExperience: {},
+        petAbilityCooldowns: {},
+        skillTree: {}
+    }),
+    // 3 -> 4: the run in progress is saved alongside meta-progression
+    data => ({ ...data, activeRun: null }),
+    // 4 -> 5: per-class deepest floor reached in Endless mode
+    data => ({ ...data, endlessLeaderboard: {} }),
+    // 5 -> 6: isolated Hardcore character and its hall of fame
+    data => ({ ...data, hardcoreCharacter: null, hallOfFame: [] }),
+    // 6 -> 7: chosen game mode and per-mode deepest floor
+    data => ({ ...data, selectedGameMode: 'normal', modeBests: {} }),
+    // 7 -> 8: speedrun personal bests with their splits
+    data => ({ ...data, speedrunRecords: {} }),
+    // 8 -> 9: prestige shop currency and perks, for both the normal and Hardcore character
+    data => ({
+        ...data,
+        prestigeTokens: 0,
+        prestigePerks: {},
+        hardcoreCharacter: data.hardcoreCharacter && { ...data.hardcoreCharacter, prestigeTokens: 0, prestigePerks: {} }
+    })
+];
+
+// Expected shape of each persisted field; anything malformed is reset to its default
+const SAVE_SCHEMA = {
+    soulPoints: 'count',
+    totalRuns: 'count',
+    bestFloor: 'count',
+    prestigeLevel: 'count',
+    prestigeMultiplier: 'number',
+    selectedClass: 'classId',
+    upgrades: 'counts',
+    specialItems: 'object',
+    achievements: 'object',
+    settings: 'object',
+    stats: 'counts',
+    pets: 'object',
+    activePet: 'petId',
+    lastSaveTime: 'number',
+    relics: 'array',
+    equippedRelics: 'array',
+    ascensionTier: 'count',
+    totalSoulsSpentOnAscension: 'count',
+    challengesCompleted: 'object',
+    dailyRewards: 'object',
+    milestonesUnlocked: 'object',
+    tutorialStep: 'count',
+    craftingMaterials: 'counts',
+    petLevels: 'counts',
+    petExperience: 'counts',
+    petAbilityCooldowns: 'numbers',
+    skillTree: 'object',
+    activeRun: 'runSnapshot',
+    endlessLeaderboard: 'object',
+    hardcoreCharacter: 'character',
+    hallOfFame: 'array',
+    selectedGameMode: 'gameModeId',
+    modeBests: 'counts',
+    speedrunRecords: 'object',
+    prestigeTokens: 'count',
+    prestigePerks: 'counts'
+};
+
+const SAVE_VALIDATORS = {
+    count: v => Number.isFinite(v) && v >= 0,
+    number: v => Number.isFinite(v),
+    object: v => v !== null && typeof v === 'object' && !Array.isArray(v),
+    array: v => Array.isArray(v),
+    counts: v => SAVE_VALIDATORS.object(v),
+    numbers: v => SAVE_VALIDATORS.object(v),
+    classId: v => v === null || v === undefined || Object.prototype.hasOwnProperty.call(CLASSES, v),
+    petId: v => v === null || v === undefined || PET_TYPES.some(p => p.id === v),
+    gameModeId: v => Object.prototype.hasOwnProperty.call(GAME_MODES, v),
+    runSnapshot: v => v === null || isValidRunSnapshot(v),
+    character: v => v === null || (SAVE_VALIDATORS.object(v) && SAVE_VALIDATORS.count(v.soulPoints) &&
+        SAVE_VALIDATORS.object(v.upgrades) && Array.isArray(v.relics) && Array.isArray(v.equippedRelics))
+};
+
+// Snapshot of the fresh-game values, used to repair malformed fields
+const SAVE_DEFAULTS = JSON.parse(JSON.stringify(
+    Object.fromEntries(Object.keys(SAVE_SCHEMA).map(key => [key, gameState[key] ?? null]))
+));
+
+/**
+ * Upgrades raw save data to SAVE_VERSION by running each pending migration in order
+ * @param {Object} data - Parsed save data
+ * @returns {Object} Save data at the current version
+ */
+function migrateSave(data) {
+    if (!SAVE_VALIDATORS.object(data)) throw new Error('Save data is not an object');
+
+    let version = data.version === undefined ? 1 : data.version;
+    if (!Number.isInteger(version) || version < 1) throw new Error(`Unknown save version: ${data.version}`);
+    if (version > SAVE_VERSION) throw new Error(`Save is from a newer version (v${version})`);
+
+    while (version < SAVE_VERSION) {
+        data = SAVE_MIGRATIONS[version - 1](data);
+        version++;
+        data.version = version;
+    }
+    data.version = SAVE_VERSION;
+    return data;
+}
+
+/**
+ * Checks every schema field and resets malformed ones to their defaults
+ * @param {Object} data - Migrated save data
+ * @returns {Object} Validated save data
+ */
+function validateSave(data) {
+    const repaired = [];
+
+    Object.entries(SAVE_SCHEMA).forEach(([key, type]) => {
+        if (data[key] === undefined) {
+            data[key] = JSON.parse(JSON.stringify(SAVE_DEFAULTS[key]));
+            return;
+        }
+        if (!SAVE_VALIDATORS[type](data[key])) {
+            repaired.push(key);
+            data[key] = JSON.parse(JSON.stringify(SAVE_DEFAULTS[key]));
+            return;
+        }
+        const entryType = { counts: 'count', numbers: 'number' }[type];
+        if (entryType) {
+            // Drop individual entries that aren't usable numbers
+            Object.keys(data[key]).forEach(k => {
+                if (!SAVE_VALIDATORS[entryType](data[key][k])) {
+                    repaired.push(`${key}.${k}`);
+                    delete data[key][k];
+                }
+            });
+        }
+    });
+
+    if (repaired.length > 0) console.warn('Repaired malformed save fields:', repaired.join(', '));
+    return data;
+}
+
+// Run-specific fields saved verbatim so a run can resume exactly where it left off
+const RUN_SNAPSHOT_FIELDS = [
+    'player', 'pet', 'monsters', 'chests', 'traps', 'npcs', 'roomEvents', 'secretRoomsFound',
+    'exploredTiles', 'exitSpawned', 'exitPosition', 'chestsCollected', 'totalChestsOnFloor',
+    'skillCooldowns', 'runBuffs', 'floorKills', 'phoenixRebirthUsed', 'currentGameMode', 'gameModeTimer',
+    'webs', 'corpses'
+];
+
+/**
+ * Captures the run in progress, or null when no run is active
+ * @returns {Object|null} Serializable run snapshot
+ */
+function serializeRun() {
+    if (!gameState.gameRunning || !gameState.run) return null;
+
+    const snapshot = {
+        run: gameState.run,
+        // Tile ids are single digits, so each row packs into a string
+        grid: gameState.grid.map(row => row.join(''))
+    };
+    RUN_SNAPSHOT_FIELDS.forEach(key => { snapshot[key] = gameState[key]; });
+    return snapshot;
+}
+
+/**
+ * Checks that a run snapshot has a usable run, grid and entity lists
+ * @param {Object} snapshot - Saved run snapshot
+ * @returns {boolean} True if the snapshot can be restored
+ */
+function isValidRunSnapshot(snapshot) {
+    if (!SAVE_VALIDATORS.object(snapshot) || !SAVE_VALIDATORS.object(snapshot.run)) return false;
+
+    const run = snapshot.run;
+    if (!SAVE_VALIDATORS.count(run.floor) || run.floor < 1) return false;
+    if (!Number.isFinite(run.currentHp) || !Number.isFinite(run.maxHp)) return false;
+
+    const grid = snapshot.grid;
+    if (!Array.isArray(grid) || grid.length < MIN_GRID_SIZE) return false;
+    if (!grid.every(row => typeof row === 'string' && row.length === grid[0].length && /^[0-9]+$/.test(row))) return false;
+
+    const inBounds = pos => SAVE_VALIDATORS.object(pos) && pos.x >= 0 && pos.y >= 0 && pos.x < grid[0].length && pos.y < grid.length;
+    if (!inBounds(snapshot.player)) return false;
+
+    if (!['monsters', 'chests', 'traps', 'npcs', 'roomEvents'].every(key => Array.isArray(snapshot[key]) && snapshot[key].every(inBounds))) return false;
+
+    // Saved before boss movesets existed
+    return ['webs', 'corpses'].every(key => snapshot[key] === undefined || (Array.isArray(snapshot[key]) && snapshot[key].every(inBounds)));
+}
+
+/**
+ * Loads a run snapshot into gameState (canvas and audio are handled by resumeRun)
+ * @param {Object} snapshot - Validated run snapshot
+ */
+function restoreRun(snapshot) {
+    gameState.run = snapshot.run;
+    gameState.grid = snapshot.grid.map(row => Array.from(row, Number));
+    RUN_SNAPSHOT_FIELDS.forEach(key => {
+        if (snapshot[key] !== undefined) gameState[key] = snapshot[key];
+    });
+    // Telegraphs aren't saved, so a wind-up in progress is dropped rather than left rooting its monster
+    gameState.monsters.forEach(m => { m.casting = false; });
+
+    GRID_HEIGHT = gameState.grid.length;
+    GRID_WIDTH = gameState.grid[0].length;
+}
+
+/**
+ * Parses a stored save string through migration and validation
+ * @param {string} raw - JSON save string
+ * @returns {Object} Save data ready to apply
+ */
+function parseSave(raw) {
+    return validateSave(migrateSave(JSON.parse(raw)));
+}
+
+// Locked until initGame has loaded the save (so the intro screen can't overwrite it with
+// defaults), and again while an import or reset reloads the page
+let saveLocked = true;
 
 function saveGame() {
+    if (saveLocked) return;
+
+    // During a Hardcore run its character is live in gameState and the normal one is parked
+    const normal = gameState.hardcoreActive ? gameState.hardcoreCharacter : gameState;
+    const hardcore = gameState.hardcoreActive ? getHardcoreFields(gameState) : gameState.hardcoreCharacter;
+
     const data = {
-        soulPoints: gameState.soulPoints,
+        version: SAVE_VERSION,
+        soulPoints: normal.soulPoints,
+        prestigeTokens: normal.prestigeTokens,
+        prestigePerks: normal.prestigePerks,
         totalRuns: gameState.totalRuns,
         bestFloor: gameState.bestFloor,
-        prestigeLevel: gameState.prestigeLevel,
-        prestigeMultiplier: gameState.prestigeMultiplier,
+        prestigeLevel: normal.prestigeLevel,
+        prestigeMultiplier: normal.prestigeMultiplier,
         selectedClass: gameState.selectedClass,
-        upgrades: gameState.upgrades,
-        specialItems: gameState.specialItems,
+        upgrades: normal.upgrades,
+        specialItems: normal.specialItems,
         achievements: gameState.achievements,
         settings: gameState.settings,
         stats: gameState.stats,
@@ -6699,68 +8839,102 @@ function saveGame() {
         activePet: gameState.activePet,
         lastSaveTime: Date.now(),
         // New features
-        relics: gameState.relics,
-        equippedRelics: gameState.equippedRelics,
+        relics: normal.relics,
+        equippedRelics: normal.equippedRelics,
         ascensionTier: gameState.ascensionTier,
         totalSoulsSpentOnAscension: gameState.totalSoulsSpentOnAscension,
         challengesCompleted: gameState.challengesCompleted,
         dailyRewards: gameState.dailyRewards,
         milestonesUnlocked: gameState.milestonesUnlocked,
-        tutorialStep: gameState.tutorialStep
+        tutorialStep: gameState.tutorialStep,
+        craftingMaterials: gameState.craftingMaterials,
+        petLevels: gameState.petLevels,
+        petExperience: gameState.petExperience,
+        petAbilityCooldowns: gameState.petAbilityCooldowns,
+        skillTree: gameState.skillTree,
+        activeRun: serializeRun(),
+        endlessLeaderboard: gameState.endlessLeaderboard,
+        hardcoreCharacter: hardcore,
+        hallOfFame: gameState.hallOfFame,
+        selectedGameMode: gameState.selectedGameMode,
+        modeBests: gameState.modeBests,
+        speedrunRecords: gameState.speedrunRecords
     };
     try {
-        localStorage.setItem(SAVE_KEY, JSON.stringify(data));
+        localStorage.setItem(activeSaveKey, JSON.stringify(data));
     } catch (e) {
         console.error('Save failed:', e);
     }
 }
 
 function loadGame() {
-    try {
-        const data = JSON.parse(localStorage.getItem(SAVE_KEY));
-        if (data) {
-            gameState.soulPoints = data.soulPoints || 0;
-            gameState.totalRuns = data.totalRuns || 0;
-            gameState.bestFloor = data.bestFloor || 0;
-            gameState.prestigeLevel = data.prestigeLevel || 0;
-            gameState.prestigeMultiplier = data.prestigeMultiplier || 1;
-            gameState.selectedClass = data.selectedClass;
-            if (data.upgrades) Object.assign(gameState.upgrades, data.upgrades);
-            if (data.specialItems) Object.assign(gameState.specialItems, data.specialItems);
-            if (data.achievements) gameState.achievements = data.achievements;
-            if (data.settings) Object.assign(gameState.settings, data.settings);
-            if (data.stats) Object.assign(gameState.stats, data.stats);
-            if (data.pets) gameState.pets = data.pets;
-            if (data.activePet) gameState.activePet = data.activePet;
-            gameState.lastSaveTime = data.lastSaveTime || Date.now();
-
-            // Load new features
-            if (data.relics) gameState.relics = data.relics;
-            if (data.equippedRelics) gameState.equippedRelics = data.equippedRelics;
-            if (data.ascensionTier) gameState.ascensionTier = data.ascensionTier;
-            if (data.totalSoulsSpentOnAscension) gameState.totalSoulsSpentOnAscension = data.totalSoulsSpentOnAscension;
-            if (data.challengesCompleted) gameState.challengesCompleted = data.challengesCompleted;
-            if (data.dailyRewards) gameState.dailyRewards = data.dailyRewards;
-            if (data.milestonesUnlocked) gameState.milestonesUnlocked = data.milestonesUnlocked;
-            if (data.tutorialStep !== undefined) gameState.tutorialStep = data.tutorialStep;
-
-            // Unlock class skills
-            if (gameState.selectedClass) {
-                const classData = CLASSES[gameState.selectedClass];
-                if (classData.skill) SKILLS[classData.skill].unlocked = true;
-            }
+    const raw = localStorage.getItem(activeSaveKey);
+    if (!raw) return false;
 
-            return true;
-        }
+    let data;
+    try {
+        data = parseSave(raw);
     } catch (e) {
+        // Keep the unreadable save around instead of letting autosave overwrite it
         console.error('Load failed:', e);
+        localStorage.setItem(`${activeSaveKey}_corrupt`, raw);
+        return false;
     }
-    return false;
+
+    gameState.soulPoints = data.soulPoints;
+    gameState.totalRuns = data.totalRuns;
+    gameState.bestFloor = data.bestFloor;
+    gameState.prestigeLevel = data.prestigeLevel;
+    gameState.prestigeMultiplier = data.prestigeMultiplier;
+    gameState.selectedClass = data.selectedClass || null;
+    Object.assign(gameState.upgrades, data.upgrades);
+    Object.assign(gameState.specialItems, data.specialItems);
+    gameState.achievements = data.achievements;
+    Object.assign(gameState.settings, data.settings);
+    Object.assign(gameState.stats, data.stats);
+    gameState.pets = data.pets;
+    gameState.activePet = data.activePet || null;
+    gameState.lastSaveTime = data.lastSaveTime;
+
+    // Load new features
+    gameState.relics = data.relics;
+    gameState.equippedRelics = data.equippedRelics;
+    gameState.ascensionTier = data.ascensionTier;
+    gameState.totalSoulsSpentOnAscension = data.totalSoulsSpentOnAscension;
+    gameState.challengesCompleted = data.challengesCompleted;
+    Object.assign(gameState.dailyRewards, data.dailyRewards);
+    gameState.milestonesUnlocked = data.milestonesUnlocked;
+    gameState.tutorialStep = data.tutorialStep;
+    gameState.craftingMaterials = data.craftingMaterials;
+    gameState.petLevels = data.petLevels;
+    gameState.petExperience = data.petExperience;
+    gameState.petAbilityCooldowns = data.petAbilityCooldowns;
+    gameState.skillTree = data.skillTree;
+    gameState.endlessLeaderboard = data.endlessLeaderboard;
+    gameState.hardcoreCharacter = data.hardcoreCharacter;
+    gameState.hallOfFame = data.hallOfFame;
+    gameState.selectedGameMode = data.selectedGameMode;
+    gameState.modeBests = data.modeBests;
+    gameState.speedrunRecords = data.speedrunRecords;
+    gameState.prestigeTokens = data.prestigeTokens;
+    gameState.prestigePerks = data.prestigePerks;
+
+    // Restore the run in progress; initGame resumes it instead of starting fresh
+    if (data.activeRun && gameState.selectedClass) restoreRun(data.activeRun);
+    syncHardcoreCharacter();
+
+    // Unlock class skills
+    if (gameState.selectedClass) {
+        const classData = CLASSES[gameState.selectedClass];
+        if (classData.skill) SKILLS[classData.skill].unlocked = true;
+    }
+
+    return true;
 }
 
 function exportSave() {
     saveGame();
-    const data = localStorage.getItem(SAVE_KEY);
+    const data = localStorage.getItem(activeSaveKey);
     DOM.save_textarea.value = btoa(data);
     DOM.save_textarea.readOnly = true;
     DOM.save_modal_title.textContent = 'Export Save';
@@ -6775,30 +8949,41 @@ function importSave() {
 
     DOM.copy_save.textContent = 'Import';
     DOM.copy_save.onclick = () => {
+        let data;
         try {
-            const data = atob(DOM.save_textarea.value);
-            localStorage.setItem(SAVE_KEY, data);
-            location.reload();
+            data = parseSave(atob(DOM.save_textarea.value.trim()));
         } catch (e) {
-            alert('Invalid save data!');
+            alert(`Invalid save data! ${e.message}`);
+            return;
         }
+        saveLocked = true;
+        localStorage.setItem(activeSaveKey, JSON.stringify(data));
+        location.reload();
     };
 }
 
 function resetSave() {
     if (confirm('Are you sure? This will delete ALL progress!')) {
-        localStorage.removeItem(SAVE_KEY);
+        saveLocked = true;
+        localStorage.removeItem(activeSaveKey);
         location.reload();
     }
 }
 
-setInterval(saveGame, 30000);
+if (!HEADLESS) {
+    setInterval(saveGame, 30000);
+    window.addEventListener('beforeunload', saveGame);
+}
 
 // ==========================================
 // GAME START
 // ==========================================
 
-function startNewRun() {
+/**
+ * Starts a fresh run in the selected game mode
+ * @param {number} [seed] - Run seed; picked by createRunSeed for the new mode when omitted
+ */
+function startNewRun(seed) {
     // Reset run buffs and run-specific state
     gameState.runBuffs = [];
     gameState.phoenixRebirthUsed = false;
@@ -6807,11 +8992,14 @@ function startNewRun() {
     if (gameState.activeChallenge) {
         gameState.challengeTimer = 0;
     }
+    gameState.currentGameMode = gameState.selectedGameMode;
+    gameState.gameModeTimer = 0;
+    syncHardcoreCharacter();
 
     const stats = calculatePlayerStats();
 
     gameState.run = {
-        floor: 1,
+        floor: getStartingFloor(),
         level: 1,
         xp: 0,
         currentHp: stats.maxHp,
@@ -6827,8 +9015,13 @@ function startNewRun() {
         inventory: [],
         attackTimer: 0,
         moveTimer: 0,
-        killsThisRun: 0
+        killsThisRun: 0,
+        bossStreak: 0,
+        ultimateCharge: 0,
+        splits: [], // Speedrun: { floor, clear, time } per completed floor, in game-time seconds
+        seed: seed ?? createRunSeed()
     };
+    RNG.gameplay = createRng(gameState.run.seed);
 
     gameState.monsters = [];
     gameState.skillCooldowns = {
@@ -6854,6 +9047,10 @@ function startNewRun() {
 
     if (DOM.combat_log) DOM.combat_log.innerHTML = '';
     addLog('A new adventure begins...', 'floor-clear');
+    if (gameState.run.floor > 1) addLog(`Head Start: descending straight to floor ${gameState.run.floor}`, 'status');
+    if (GAME_MODES[gameState.currentGameMode]?.modifiers?.seeded) {
+        addLog(`Daily seed: ${new Date().toISOString().slice(0, 10)}`, 'status');
+    }
 
     updateAllUI();
     updateAchievementsUI();
@@ -6862,7 +9059,35 @@ function startNewRun() {
     updateEquipmentUI();
     updatePetsUI();
 
-    setTimeout(() => spawnMonsters(), 500);
+    // Headless runs have no timers; update() spawns as soon as the floor is empty
+    if (!HEADLESS) setTimeout(() => spawnMonsters(), 500);
+}
+
+// Picks up a run restored by loadGame on the same floor, layout, HP and gear
+function resumeRun() {
+    gameState.particles = [];
+    gameState.visualEffects = [];
+    gameState.telegraphs = [];
+
+    TILE_SIZE = calculateTileSize();
+    resizeCanvas();
+    seedFloorRng('resume');
+
+    gameState.gameRunning = true;
+
+    const biome = getCurrentBiome();
+    playBackgroundMusic(biome.name);
+    startAmbientSounds();
+
+    if (DOM.combat_log) DOM.combat_log.innerHTML = '';
+    addLog(`Resuming your run on Floor ${gameState.run.floor}...`, 'floor-clear');
+
+    updateAllUI();
+    updateAchievementsUI();
+    updateSkillCooldownsUI();
+    updateInventoryUI();
+    updateEquipmentUI();
+    updatePetsUI();
 }
 
 // Pet shop functions
@@ -6897,6 +9122,7 @@ function selectPet(petId) {
 }
 
 function updatePetsUI() {
+    if (HEADLESS) return;
     const container = document.getElementById('pets-list');
     const activePetName = document.getElementById('active-pet-name');
 
@@ -7024,7 +9250,7 @@ function checkChallengeConditions() {
         return;
     }
     if (cond.elites && gameState.stats.elitesKilled < cond.elites) completed = false;
-    if (cond.bossesOnly && !r.floor % 10 === 0) completed = false;
+    if (cond.bossesOnly && (r.bossStreak || 0) < cond.count) completed = false;
 
     if (completed) {
         completeChallenge(challenge);
@@ -7071,6 +9297,20 @@ function getAscensionTier() {
     return ASCENSION_TIERS.find(t => t.tier === gameState.ascensionTier) || { bonus: { soulMult: 1, statMult: 1 } };
 }
 
+/**
+ * Whether an ascension unlock (e.g. 'new_class_paladin') has been reached
+ * @param {string} key - Entry in some tier's unlocks list
+ * @returns {boolean}
+ */
+function hasAscensionUnlock(key) {
+    return ASCENSION_TIERS.some(t => t.tier <= gameState.ascensionTier && t.unlocks.includes(key));
+}
+
+function isClassUnlocked(className) {
+    const classData = CLASSES[className];
+    return !!classData && (!classData.unlock || hasAscensionUnlock(classData.unlock));
+}
+
 function canAscend() {
     const nextTier = ASCENSION_TIERS.find(t => t.tier === gameState.ascensionTier + 1);
     return nextTier && gameState.soulPoints >= nextTier.requirement;
@@ -7079,19 +9319,36 @@ function canAscend() {
 function doAscension() {
     const nextTier = ASCENSION_TIERS.find(t => t.tier === gameState.ascensionTier + 1);
     if (!nextTier || gameState.soulPoints < nextTier.requirement) return;
+    if (gameState.hardcoreActive) {
+        addLog('Ascension is not available to Hardcore characters', 'monster-action');
+        return;
+    }
 
     gameState.soulPoints -= nextTier.requirement;
     gameState.totalSoulsSpentOnAscension += nextTier.requirement;
     gameState.ascensionTier++;
 
-    // Reset prestige but keep relics
+    // Reset prestige and its shop perks but keep relics
     gameState.prestigeLevel = 0;
     gameState.prestigeMultiplier = 1;
+    gameState.prestigeTokens = 0;
+    gameState.prestigePerks = {};
+    gameState.equippedRelics = gameState.equippedRelics.slice(0, getRelicSlots());
 
     addLog(`ASCENSION! You are now ${nextTier.name}!`, 'level-up');
     saveGame();
     updateAscensionUI();
-    startNewRun();
+    updatePrestigeUI();
+    updateRelicsUI();
+
+    // A newly unlocked class gets offered straight away
+    const newClass = Object.keys(CLASSES).find(c => CLASSES[c].unlock && nextTier.unlocks.includes(CLASSES[c].unlock));
+    if (newClass) {
+        addLog(`New class unlocked: ${CLASSES[newClass].name}!`, 'level-up');
+        openClassSelect();
+    } else {
+        startNewRun();
+    }
 }
 
 function updateAscensionUI() {
@@ -7126,6 +9383,7 @@ function getRelicSlots() {
     if (gameState.ascensionTier >= 1) slots++;
     if (gameState.ascensionTier >= 2) slots++;
     if (gameState.milestonesUnlocked['unlock_relic_slot']) slots++;
+    slots += getPerkLevel('reliquary');
     return slots;
 }
 
@@ -7142,8 +9400,73 @@ function equipRelic(relicId) {
     saveGame();
 }
 
+// --- RELIC EFFECTS ---
+// Every RELICS effect key has exactly one hook:
+//   stat          - summed by getRelicBonuses and read where the stat is used
+//   onHit         - after the player damages a monster; ctx { monster, damage }
+//   onDamageTaken - before monster damage lands on the player; may lower ctx.damage
+//   onDeath       - when the player would die; sets ctx.prevented to cancel it
+//   onKill        - when a monster dies; adjusts ctx.xp and ctx.dropChance
+const RELIC_EFFECTS = {
+    speedBonus: { hook: 'stat' },       // calculatePlayerStats (hero move and attack speed)
+    soulBonus: { hook: 'stat' },        // calculateSoulPoints, offline progress
+    critMultiplier: { hook: 'stat' },   // calculatePlayerStats
+    allStats: { hook: 'stat' },         // calculatePlayerStats
+    bossDamage: { hook: 'stat' },       // getRelicDamageMult
+    eliteBonus: { hook: 'stat' },       // getRelicDamageMult
+    lifesteal: {
+        hook: 'onHit',
+        apply: (value, ctx) => healFromDamage(ctx.damage * value)
+    },
+    chainLightning: {
+        hook: 'onHit',
+        apply: (value, ctx) => {
+            if (gameRandom() < value) chainLightning(ctx.monster, ctx.damage * 0.5);
+        }
+    },
+    burnDamage: {
+        hook: 'onHit',
+        apply: (value, ctx) => igniteMonster(ctx.monster, ctx.damage * value)
+    },
+    damageReduction: {
+        hook: 'onDamageTaken',
+        apply: (value, ctx) => {
+            ctx.damage = Math.max(1, Math.floor(ctx.damage * (1 - Math.min(value, 0.9))));
+        }
+    },
+    revive: {
+        hook: 'onDeath',
+        apply: (value, ctx) => {
+            if (ctx.prevented || gameState.phoenixRebirthUsed) return;
+            gameState.phoenixRebirthUsed = true;
+            gameState.run.currentHp = Math.floor(gameState.run.maxHp * 0.5);
+            addLog('Phoenix Feather activates! Revived with 50% HP!', 'level-up');
+            playSound('heal');
+            spawnParticles(gameState.player.x * TILE_SIZE + TILE_SIZE/2, gameState.player.y * TILE_SIZE + TILE_SIZE/2, 'fire', 25);
+            ctx.prevented = true;
+        }
+    },
+    xpBonus: {
+        hook: 'onKill',
+        apply: (value, ctx) => { ctx.xp *= 1 + value; }
+    },
+    luckBonus: {
+        hook: 'onKill',
+        apply: (value, ctx) => { ctx.dropChance += value; }
+    }
+};
+
+// Checked once at load so a typo in RELICS is reported without flooding the console every tick
+RELICS.forEach(relic => Object.keys(relic.effect).forEach(key => {
+    if (!RELIC_EFFECTS[key]) console.warn(`Relic ${relic.id} has unknown effect "${key}"`);
+}));
+
+/**
+ * Sums the effects of all equipped relics
+ * @returns {Object} Total value per RELIC_EFFECTS key (0 when no relic has it)
+ */
 function getRelicBonuses() {
-    const bonuses = { speedBonus: 0, soulBonus: 0, lifesteal: 0, critMultiplier: 0, damageReduction: 0, luckBonus: 0, xpBonus: 0, bossDamage: 0, eliteBonus: 0, allStats: 0 };
+    const bonuses = Object.fromEntries(Object.keys(RELIC_EFFECTS).map(key => [key, 0]));
 
     gameState.equippedRelics.forEach(relicId => {
         const relic = RELICS.find(r => r.id === relicId);
@@ -7156,7 +9479,31 @@ function getRelicBonuses() {
     return bonuses;
 }
 
+/**
+ * Runs every equipped relic effect registered for a hook
+ * @param {string} hook - 'onHit', 'onDamageTaken', 'onDeath' or 'onKill'
+ * @param {Object} ctx - Hook context; effects read and modify it
+ * @returns {Object} The same context after all effects ran
+ */
+function runRelicHooks(hook, ctx) {
+    const bonuses = getRelicBonuses();
+    Object.entries(RELIC_EFFECTS).forEach(([key, effect]) => {
+        if (effect.hook === hook && bonuses[key]) effect.apply(bonuses[key], ctx);
+    });
+    return ctx;
+}
+
+// Damage multiplier from Boss Trophy and Elite Mark against a monster
+function getRelicDamageMult(monster) {
+    const bonuses = getRelicBonuses();
+    let mult = 1;
+    if (monster.isBoss) mult += bonuses.bossDamage;
+    if (monster.isElite || monster.isMiniBoss) mult += bonuses.eliteBonus;
+    return mult;
+}
+
 function updateRelicsUI() {
+    if (HEADLESS) return;
     const container = document.getElementById('relics-list');
     if (!container) return;
 
@@ -7286,6 +9633,7 @@ function checkMilestones() {
 }
 
 function showMilestonePopup(milestone) {
+    if (HEADLESS) return;
     const popup = document.getElementById('milestone-popup');
     if (!popup) return;
     popup.querySelector('.milestone-text').textContent = milestone.desc;
@@ -7320,6 +9668,56 @@ function updateStatsDashboard() {
     const avgFloor = gameState.totalRuns > 0 ? (gameState.bestFloor / gameState.totalRuns).toFixed(1) : 0;
     const killsPerRun = gameState.totalRuns > 0 ? Math.floor(stats.monstersKilled / gameState.totalRuns) : 0;
 
+    const materialCards = CRAFTING_MATERIALS
+        .filter(m => (gameState.craftingMaterials[m.id] || 0) > 0)
+        .map(m => `
+            <div class="stat-card">
+                <span class="stat-card-value" style="color: ${m.color}">${m.icon} ${formatNum(gameState.craftingMaterials[m.id])}</span>
+                <span class="stat-card-label">${m.name}</span>
+            </div>`).join('');
+
+    const petCards = PET_TYPES
+        .filter(p => gameState.pets[p.id])
+        .map(p => {
+            const stage = getPetStage(p.id);
+            return `
+            <div class="stat-card">
+                <span class="stat-card-value">${stage ? stage.icon : p.icon} Lv.${getPetLevel(p.id)}</span>
+                <span class="stat-card-label">${stage ? stage.name : p.name}</span>
+            </div>`;
+        }).join('');
+
+    const endlessCards = Object.entries(gameState.endlessLeaderboard)
+        .filter(([cls]) => CLASSES[cls])
+        .sort((a, b) => b[1].floor - a[1].floor)
+        .map(([cls, entry]) => `
+            <div class="stat-card">
+                <span class="stat-card-value">${CLASSES[cls].icon} ${entry.floor}</span>
+                <span class="stat-card-label">${CLASSES[cls].name}</span>
+            </div>`).join('');
+
+    const hallOfFameCards = gameState.hallOfFame.map((entry, i) => `
+            <div class="stat-card">
+                <span class="stat-card-value">#${i + 1} ${CLASSES[entry.class]?.icon || ''} ${entry.floor}</span>
+                <span class="stat-card-label">Lv.${entry.level} | ${formatNum(entry.kills)} kills | ${formatNum(entry.souls)} SP${entry.killedBy ? ` | ${entry.killedBy}` : ''}</span>
+            </div>`).join('');
+
+    const speedrunCards = Object.entries(gameState.speedrunRecords)
+        .filter(([cls, history]) => CLASSES[cls] && history.length)
+        .map(([cls, history]) => `
+            <div class="stat-card">
+                <span class="stat-card-value">${CLASSES[cls].icon} ${formatSplitTime(history[history.length - 1].time)}</span>
+                <span class="stat-card-label">${CLASSES[cls].name} | ${history.length} PB${history.length === 1 ? '' : 's'}</span>
+            </div>`).join('');
+
+    const perkCards = Object.entries(PRESTIGE_PERKS)
+        .filter(([id]) => getPerkLevel(id) > 0)
+        .map(([id, perk]) => `
+            <div class="stat-card">
+                <span class="stat-card-value">${perk.icon} ${getPerkLevel(id)}/${perk.maxLevel}</span>
+                <span class="stat-card-label">${perk.name}</span>
+            </div>`).join('');
+
     dashboard.innerHTML = `
         <div class="stats-grid">
             <div class="stat-card">
@@ -7358,6 +9756,11 @@ function updateStatsDashboard() {
                 <span class="stat-card-value">${stats.legendariesFound}</span>
                 <span class="stat-card-label">Legendaries</span>
             </div>
+            ${isMythicUnlocked() ? `
+            <div class="stat-card">
+                <span class="stat-card-value">${stats.mythicsFound || 0}</span>
+                <span class="stat-card-label">Mythics</span>
+            </div>` : ''}
             <div class="stat-card">
                 <span class="stat-card-value">${formatNum(stats.totalSoulsEarned)}</span>
                 <span class="stat-card-label">Total Souls</span>
@@ -7371,6 +9774,31 @@ function updateStatsDashboard() {
                 <span class="stat-card-label">Avg Floor/Run</span>
             </div>
         </div>
+        <div class="stats-section-title">Materials</div>
+        <div class="stats-grid">
+            ${materialCards || '<div class="stats-empty">No materials collected yet</div>'}
+        </div>
+        <div class="stats-section-title">Pets</div>
+        <div class="stats-grid">
+            ${petCards || '<div class="stats-empty">No pets owned yet</div>'}
+        </div>
+        <div class="stats-section-title">Endless Leaderboard</div>
+        <div class="stats-grid">
+            ${endlessCards || '<div class="stats-empty">No Endless runs yet</div>'}
+        </div>
+        <div class="stats-section-title">Hardcore Hall of Fame</div>
+        <div class="stats-grid">
+            ${hallOfFameCards || '<div class="stats-empty">No fallen heroes yet</div>'}
+        </div>
+        <div class="stats-section-title">Prestige Perks (🏅 ${gameState.prestigeTokens} unspent)</div>
+        <div class="stats-grid">
+            ${perkCards || '<div class="stats-empty">No prestige perks bought yet</div>'}
+        </div>
+        <div class="stats-section-title">Speedrun Personal Bests</div>
+        <div class="stats-grid">
+            ${speedrunCards || '<div class="stats-empty">No completed speedruns yet</div>'}
+        </div>
+        <button class="stats-export-btn" onclick="exportSpeedrunSplits()">Export Splits</button>
     `;
 }
 
@@ -7413,7 +9841,7 @@ function playBackgroundMusic(biomeName = 'Stone Dungeon') {
     stopBackgroundMusic();
 
     const theme = MUSIC_THEMES[biomeName] || MUSIC_THEMES['Stone Dungeon'];
-    const isBoss = gameState.run?.floor % 10 === 0;
+    const isBoss = isBossRush() || gameState.run?.floor % 10 === 0;
     const activeTheme = isBoss ? MUSIC_THEMES['boss'] : theme;
 
     let noteIndex = 0;
@@ -7430,11 +9858,11 @@ function playBackgroundMusic(biomeName = 'Stone Dungeon') {
         }
 
         // Play melody
-        const scaleNote = activeTheme.scale[Math.floor(Math.random() * activeTheme.scale.length)];
-        const octave = Math.random() > 0.5 ? 2 : 1;
+        const scaleNote = activeTheme.scale[Math.floor(visualRandom() * activeTheme.scale.length)];
+        const octave = visualRandom() > 0.5 ? 2 : 1;
         const freq = activeTheme.baseNote * octave * Math.pow(2, scaleNote / 12);
 
-        if (Math.random() > 0.3) {
+        if (visualRandom() > 0.3) {
             playMusicNote(freq, activeTheme.mood === 'battle' ? 'sawtooth' : 'triangle', volume * 0.4, 0.2);
         }
 
@@ -7485,7 +9913,7 @@ function playAmbientSound() {
     const biome = getCurrentBiome();
 
     // Random ambient sounds based on biome
-    if (Math.random() > 0.7) {
+    if (visualRandom() > 0.7) {
         if (biome.name === 'Frozen Caverns') {
             // Wind sound
             playNoise('lowpass', 200, volume * 0.3, 1.5);
@@ -7494,12 +9922,12 @@ function playAmbientSound() {
             playNoise('lowpass', 80, volume * 0.4, 0.5);
         } else {
             // Dripping water
-            if (Math.random() > 0.8) {
+            if (visualRandom() > 0.8) {
                 const osc = audioContext.createOscillator();
                 const gain = audioContext.createGain();
                 osc.connect(gain);
                 gain.connect(audioContext.destination);
-                osc.frequency.setValueAtTime(800 + Math.random() * 400, audioContext.currentTime);
+                osc.frequency.setValueAtTime(800 + visualRandom() * 400, audioContext.currentTime);
                 osc.frequency.exponentialRampToValueAtTime(200, audioContext.currentTime + 0.1);
                 gain.gain.setValueAtTime(volume, audioContext.currentTime);
                 gain.gain.exponentialRampToValueAtTime(0.001, audioContext.currentTime + 0.15);
@@ -7519,7 +9947,7 @@ function playNoise(filterType, filterFreq, volume, duration) {
     const data = buffer.getChannelData(0);
 
     for (let i = 0; i < bufferSize; i++) {
-        data[i] = Math.random() * 2 - 1;
+        data[i] = visualRandom() * 2 - 1;
     }
 
     const noise = audioContext.createBufferSource();
@@ -7543,6 +9971,7 @@ function playNoise(filterType, filterFreq, volume, duration) {
 
 // Start ambient sound loop
 function startAmbientSounds() {
+    if (HEADLESS) return;
     if (ambientInterval) clearInterval(ambientInterval);
     ambientInterval = setInterval(playAmbientSound, 3000);
 }
@@ -7669,7 +10098,7 @@ function playSound(type) {
             playNoise('highpass', 1000, volume * 0.2, 0.15);
             return;
         case 'footstep':
-            oscillator.frequency.setValueAtTime(100 + Math.random() * 50, audioContext.currentTime);
+            oscillator.frequency.setValueAtTime(100 + visualRandom() * 50, audioContext.currentTime);
             gainNode.gain.setValueAtTime(volume * 0.05, audioContext.currentTime);
             gainNode.gain.exponentialRampToValueAtTime(0.01, audioContext.currentTime + 0.05);
             oscillator.type = 'triangle';
@@ -7704,8 +10133,8 @@ function spawnParticles(x, y, type, count = 10) {
     if (!gameState.settings.showParticles) return;
 
     for (let i = 0; i < count; i++) {
-        const angle = (Math.PI * 2 / count) * i + Math.random() * 0.5;
-        const speed = 1 + Math.random() * 2;
+        const angle = (Math.PI * 2 / count) * i + visualRandom() * 0.5;
+        const speed = 1 + visualRandom() * 2;
         const particle = {
             x, y,
             vx: Math.cos(angle) * speed,
@@ -7713,9 +10142,9 @@ function spawnParticles(x, y, type, count = 10) {
             life: 1,
             maxLife: 1,
             type,
-            size: 2 + Math.random() * 3,
-            rotation: Math.random() * Math.PI * 2,
-            rotationSpeed: (Math.random() - 0.5) * 0.2,
+            size: 2 + visualRandom() * 3,
+            rotation: visualRandom() * Math.PI * 2,
+            rotationSpeed: (visualRandom() - 0.5) * 0.2,
             gravity: 0.1,
             friction: 0.98,
             glow: false
@@ -7723,61 +10152,61 @@ function spawnParticles(x, y, type, count = 10) {
 
         switch(type) {
             case 'fire':
-                particle.color = `hsl(${20 + Math.random() * 30}, 100%, ${50 + Math.random() * 20}%)`;
-                particle.size = 3 + Math.random() * 4;
+                particle.color = `hsl(${20 + visualRandom() * 30}, 100%, ${50 + visualRandom() * 20}%)`;
+                particle.size = 3 + visualRandom() * 4;
                 particle.gravity = -0.05; // fire rises
                 particle.glow = true;
                 particle.glowColor = '#ff6600';
                 break;
             case 'ice':
-                particle.color = `hsl(${190 + Math.random() * 20}, 80%, 70%)`;
+                particle.color = `hsl(${190 + visualRandom() * 20}, 80%, 70%)`;
                 particle.glow = true;
                 particle.glowColor = '#00ccff';
                 particle.gravity = 0.05;
                 break;
             case 'heal':
-                particle.color = `hsl(${120 + Math.random() * 20}, 70%, 50%)`;
+                particle.color = `hsl(${120 + visualRandom() * 20}, 70%, 50%)`;
                 particle.vy = -Math.abs(particle.vy) * 1.5;
                 particle.glow = true;
                 particle.glowColor = '#00ff44';
                 particle.shape = 'cross';
                 break;
             case 'soul':
-                particle.color = `hsl(${270 + Math.random() * 30}, 70%, 60%)`;
+                particle.color = `hsl(${270 + visualRandom() * 30}, 70%, 60%)`;
                 particle.gravity = -0.02;
                 particle.glow = true;
                 particle.glowColor = '#aa44ff';
                 break;
             case 'gold':
-                particle.color = `hsl(${45 + Math.random() * 10}, 100%, 50%)`;
+                particle.color = `hsl(${45 + visualRandom() * 10}, 100%, 50%)`;
                 particle.glow = true;
                 particle.glowColor = '#ffcc00';
                 particle.shape = 'star';
                 break;
             case 'blood':
-                particle.color = `hsl(${0 + Math.random() * 10}, 80%, ${30 + Math.random() * 20}%)`;
+                particle.color = `hsl(${0 + visualRandom() * 10}, 80%, ${30 + visualRandom() * 20}%)`;
                 particle.gravity = 0.15;
                 particle.friction = 0.95;
                 break;
             case 'lightning':
-                particle.color = `hsl(${200 + Math.random() * 60}, 100%, 70%)`;
-                particle.size = 2 + Math.random() * 2;
+                particle.color = `hsl(${200 + visualRandom() * 60}, 100%, 70%)`;
+                particle.size = 2 + visualRandom() * 2;
                 particle.glow = true;
                 particle.glowColor = '#00ffff';
-                particle.life = 0.3 + Math.random() * 0.3;
+                particle.life = 0.3 + visualRandom() * 0.3;
                 particle.maxLife = particle.life;
                 particle.shape = 'lightning';
                 break;
             case 'poison':
-                particle.color = `hsl(${100 + Math.random() * 30}, 80%, 40%)`;
+                particle.color = `hsl(${100 + visualRandom() * 30}, 80%, 40%)`;
                 particle.gravity = -0.03;
-                particle.size = 2 + Math.random() * 3;
+                particle.size = 2 + visualRandom() * 3;
                 particle.glow = true;
                 particle.glowColor = '#44ff00';
                 break;
             case 'explosion':
-                particle.color = `hsl(${20 + Math.random() * 40}, 100%, ${40 + Math.random() * 30}%)`;
-                particle.size = 4 + Math.random() * 6;
+                particle.color = `hsl(${20 + visualRandom() * 40}, 100%, ${40 + visualRandom() * 30}%)`;
+                particle.size = 4 + visualRandom() * 6;
                 particle.vx *= 2;
                 particle.vy *= 2;
                 particle.glow = true;
@@ -7785,8 +10214,8 @@ function spawnParticles(x, y, type, count = 10) {
                 particle.gravity = 0.08;
                 break;
             case 'smoke':
-                particle.color = `rgba(${100 + Math.random() * 50}, ${100 + Math.random() * 50}, ${100 + Math.random() * 50}, 0.6)`;
-                particle.size = 5 + Math.random() * 8;
+                particle.color = `rgba(${100 + visualRandom() * 50}, ${100 + visualRandom() * 50}, ${100 + visualRandom() * 50}, 0.6)`;
+                particle.size = 5 + visualRandom() * 8;
                 particle.gravity = -0.02;
                 particle.friction = 0.96;
                 particle.life = 1.5;
@@ -7794,18 +10223,18 @@ function spawnParticles(x, y, type, count = 10) {
                 break;
             case 'sparkle':
                 particle.color = '#ffffff';
-                particle.size = 1 + Math.random() * 2;
+                particle.size = 1 + visualRandom() * 2;
                 particle.glow = true;
                 particle.glowColor = '#ffffff';
-                particle.life = 0.5 + Math.random() * 0.5;
+                particle.life = 0.5 + visualRandom() * 0.5;
                 particle.maxLife = particle.life;
                 particle.shape = 'star';
                 break;
             case 'levelup':
-                particle.color = `hsl(${Math.random() * 360}, 80%, 60%)`;
-                particle.size = 3 + Math.random() * 4;
-                particle.vy = -2 - Math.random() * 3;
-                particle.vx = (Math.random() - 0.5) * 4;
+                particle.color = `hsl(${visualRandom() * 360}, 80%, 60%)`;
+                particle.size = 3 + visualRandom() * 4;
+                particle.vy = -2 - visualRandom() * 3;
+                particle.vx = (visualRandom() - 0.5) * 4;
                 particle.glow = true;
                 particle.glowColor = particle.color;
                 particle.shape = 'star';
@@ -7813,31 +10242,31 @@ function spawnParticles(x, y, type, count = 10) {
                 particle.maxLife = 1.5;
                 break;
             case 'death':
-                particle.color = `hsl(${0 + Math.random() * 20}, 70%, ${20 + Math.random() * 30}%)`;
-                particle.size = 3 + Math.random() * 5;
+                particle.color = `hsl(${0 + visualRandom() * 20}, 70%, ${20 + visualRandom() * 30}%)`;
+                particle.size = 3 + visualRandom() * 5;
                 particle.vx *= 1.5;
                 particle.vy *= 1.5;
                 particle.gravity = 0.2;
-                particle.life = 0.8 + Math.random() * 0.4;
+                particle.life = 0.8 + visualRandom() * 0.4;
                 particle.maxLife = particle.life;
                 break;
             case 'trail':
-                particle.color = `hsl(${200 + Math.random() * 40}, 70%, 50%)`;
-                particle.size = 2 + Math.random() * 2;
-                particle.vx = (Math.random() - 0.5) * 0.5;
-                particle.vy = (Math.random() - 0.5) * 0.5;
+                particle.color = `hsl(${200 + visualRandom() * 40}, 70%, 50%)`;
+                particle.size = 2 + visualRandom() * 2;
+                particle.vx = (visualRandom() - 0.5) * 0.5;
+                particle.vy = (visualRandom() - 0.5) * 0.5;
                 particle.gravity = 0;
-                particle.life = 0.4 + Math.random() * 0.2;
+                particle.life = 0.4 + visualRandom() * 0.2;
                 particle.maxLife = particle.life;
                 particle.glow = true;
                 particle.glowColor = '#6699ff';
                 break;
             case 'stun':
                 particle.color = '#ffff00';
-                particle.size = 2 + Math.random() * 2;
+                particle.size = 2 + visualRandom() * 2;
                 particle.shape = 'star';
-                particle.vy = -1 - Math.random();
-                particle.vx = (Math.random() - 0.5) * 2;
+                particle.vy = -1 - visualRandom();
+                particle.vx = (visualRandom() - 0.5) * 2;
                 particle.glow = true;
                 particle.glowColor = '#ffff00';
                 break;
@@ -8082,15 +10511,15 @@ function initTooltips() {
     });
 }
 
-function showTooltip(e, text) {
+function showTooltip(e, text, variant) {
     let tooltip = document.getElementById('game-tooltip');
     if (!tooltip) {
         tooltip = document.createElement('div');
         tooltip.id = 'game-tooltip';
-        tooltip.className = 'game-tooltip';
         document.body.appendChild(tooltip);
     }
 
+    tooltip.className = variant ? `game-tooltip ${variant}` : 'game-tooltip';
     tooltip.textContent = text;
     tooltip.style.display = 'block';
 
@@ -8110,6 +10539,47 @@ function hideTooltip() {
     if (tooltip) tooltip.style.display = 'none';
 }
 
+// --- STAT BREAKDOWN ---
+const STAT_BREAKDOWN_ROWS = {
+    'stat-hp': 'maxHp', 'stat-attack': 'attack', 'stat-defense': 'defense', 'stat-speed': 'speed',
+    'stat-evasion': 'evasion', 'stat-crit-chance': 'critChance', 'stat-crit-damage': 'critDamage'
+};
+
+/**
+ * Builds the hover text explaining how a stat total was reached, one line per layer
+ * @param {string} stat - Key in PLAYER_STAT_KEYS
+ * @returns {string}
+ */
+function getStatBreakdownText(stat) {
+    const stats = calculatePlayerStats({ trace: true });
+    const fmt = v => Number.isInteger(v) ? String(v) : v.toFixed(2);
+
+    const lines = stats.trace.filter(t => t.stat === stat).map(t => {
+        switch (t.op) {
+            case 'base': return `Base: ${fmt(t.value)}`;
+            case 'add': return `${t.value >= 0 ? '+' : ''}${fmt(t.value)} ${t.source} → ${fmt(t.after)}`;
+            case 'mult': return `×${fmt(t.value)} ${t.source} → ${fmt(t.after)}`;
+            case 'cap': return `${t.source}: ${fmt(t.before)} → ${fmt(t.after)}`;
+            default: return `${t.source}: ${fmt(t.after)}`;
+        }
+    });
+
+    return `${TOOLTIPS[stat]}\n\n${lines.join('\n')}\n= ${fmt(stats[stat])}`;
+}
+
+// Hovering a row in the stats panel shows its breakdown, computed fresh each time
+function initStatBreakdowns() {
+    Object.entries(STAT_BREAKDOWN_ROWS).forEach(([id, stat]) => {
+        const row = document.getElementById(id)?.closest('.stat-row');
+        if (!row) return;
+        const show = (e) => showTooltip(e, getStatBreakdownText(stat), 'stat-breakdown');
+        row.addEventListener('mouseenter', show);
+        row.addEventListener('mouseleave', hideTooltip);
+        row.addEventListener('touchstart', show, { passive: true });
+        row.addEventListener('touchend', () => setTimeout(hideTooltip, 1500), { passive: true });
+    });
+}
+
 // === ENHANCED OFFLINE PROGRESS ===
 function calculateOfflineProgress() {
     const offlineTime = Date.now() - gameState.lastSaveTime;
@@ -8119,8 +10589,9 @@ function calculateOfflineProgress() {
     const maxMinutes = 480; // 8 hours max
     const effectiveMinutes = Math.min(minutes, maxMinutes);
 
-    // Base souls per minute based on best floor
-    const baseSoulsPerMin = gameState.bestFloor * 0.2;
+    // Base souls per minute based on the resumed run's floor, or best floor without one
+    const baseFloor = gameState.run ? gameState.run.floor : gameState.bestFloor;
+    const baseSoulsPerMin = baseFloor * 0.2;
     const ascensionBonus = getAscensionTier().bonus?.soulMult || 1;
     const relicBonus = 1 + getRelicBonuses().soulBonus;
 
@@ -8148,8 +10619,12 @@ function showOfflineProgress(progress) {
     modal.classList.add('active');
 }
 
+// Offline earnings computed at load, before a fresh run could change the floor basis
+let pendingOfflineProgress = null;
+
 function claimOfflineRewards() {
-    const progress = calculateOfflineProgress();
+    const progress = pendingOfflineProgress;
+    pendingOfflineProgress = null;
     if (progress && progress.souls > 0) {
         gameState.soulPoints += progress.souls;
         gameState.stats.totalSoulsEarned += progress.souls;
@@ -8163,6 +10638,7 @@ function claimOfflineRewards() {
 
 // === UPDATE SYNERGIES UI ===
 function updateSynergiesUI() {
+    if (HEADLESS) return;
     const container = document.getElementById('synergies-list');
     if (!container) return;
 
@@ -8206,6 +10682,7 @@ function updateComboSystem(dt) {
 function addComboKill() {
     gameState.comboCount++;
     gameState.comboTimer = gameState.comboMaxTime;
+    chargeUltimate(ULTIMATE_CONFIG.killCharge + Math.min(gameState.comboCount, ULTIMATE_CONFIG.comboChargeCap));
 
     // Calculate combo bonus
     let bonus = 1.0;
@@ -8264,6 +10741,35 @@ function updateDodgeSystem(dt) {
             gameState.perfectDodgeActive = false;
         }
     }
+
+    if (gameState.settings.autoDodge) tryAutoDodge();
+}
+
+// The telegraphed attack on the hero's tile that lands soonest, if any
+function getIncomingTelegraph() {
+    const { x, y } = gameState.player;
+    let incoming = null;
+    gameState.telegraphs.forEach(t => {
+        if (t.tiles.some(tile => tile.x === x && tile.y === y) && (!incoming || t.timer < incoming.timer)) incoming = t;
+    });
+    return incoming;
+}
+
+// Auto-dodge success chance, growing with hero level and evasion
+function getAutoDodgeChance() {
+    const r = gameState.run;
+    const chance = DODGE_CONFIG.autoDodgeChance + (r.level - 1) * DODGE_CONFIG.autoDodgePerLevel + (r.evasion || 0) / 100;
+    return Math.min(DODGE_CONFIG.autoDodgeMaxChance, chance);
+}
+
+// Idle auto-dodge: each attack aimed at the hero gets one roll as it enters the
+// perfect-dodge window; a success dashes through it for the perfect-dodge bonus
+function tryAutoDodge() {
+    const incoming = getIncomingTelegraph();
+    if (!incoming || incoming.autoDodgeRolled || incoming.timer > DODGE_CONFIG.perfectDodgeWindow) return;
+    incoming.autoDodgeRolled = true;
+    if (gameState.dodgeCooldown > 0 || gameState.stamina < DODGE_CONFIG.staminaCost) return;
+    if (gameRandom() < getAutoDodgeChance()) performDodge();
 }
 
 function performDodge(direction = null) {
@@ -8277,6 +10783,10 @@ function performDodge(direction = null) {
     gameState.isInvincible = true;
     gameState.invincibilityTimer = DODGE_CONFIG.iFrameDuration;
 
+    // Dashing out just before a telegraphed attack lands is a perfect dodge
+    const incoming = getIncomingTelegraph();
+    if (incoming) checkPerfectDodge(incoming.timer);
+
     // Calculate dash direction
     let dx = 0, dy = 0;
     if (direction) {
@@ -8302,27 +10812,20 @@ function performDodge(direction = null) {
                 dy /= len;
             }
         } else {
-            dx = Math.random() - 0.5;
-            dy = Math.random() - 0.5;
+            dx = gameRandom() - 0.5;
+            dy = gameRandom() - 0.5;
         }
     }
 
-    // Perform the dash
-    const dashDist = DODGE_CONFIG.dashDistance;
-    let newX = Math.round(gameState.player.x + dx * dashDist);
-    let newY = Math.round(gameState.player.y + dy * dashDist);
-
-    // Clamp to grid bounds and ensure valid position
-    newX = Math.max(1, Math.min(GRID_WIDTH - 2, newX));
-    newY = Math.max(1, Math.min(GRID_HEIGHT - 2, newY));
-
-    // Find nearest valid floor tile
-    if (gameState.grid[newY] && gameState.grid[newY][newX] !== TILE.FLOOR) {
-        const pos = findValidPosition();
-        if (pos) {
-            newX = pos.x;
-            newY = pos.y;
-        }
+    // Perform the dash, stopping short of the first wall in the way
+    let newX = gameState.player.x;
+    let newY = gameState.player.y;
+    for (let i = 1; i <= DODGE_CONFIG.dashDistance; i++) {
+        const x = Math.round(gameState.player.x + dx * i);
+        const y = Math.round(gameState.player.y + dy * i);
+        if (!gameState.grid[y] || gameState.grid[y][x] !== TILE.FLOOR) break;
+        newX = x;
+        newY = y;
     }
 
     // Visual effect for dodge
@@ -8351,7 +10854,7 @@ function checkPerfectDodge(attackTiming) {
 
 // --- TRAP VARIETY SYSTEM ---
 function getRandomTrapType() {
-    return TRAP_TYPES[Math.floor(Math.random() * TRAP_TYPES.length)];
+    return TRAP_TYPES[Math.floor(gameRandom() * TRAP_TYPES.length)];
 }
 
 function handleTrapEffect(trap, trapType) {
@@ -8360,8 +10863,9 @@ function handleTrapEffect(trap, trapType) {
 
     // Apply base damage
     if (trapType.damage > 0) {
-        const damage = Math.floor(r.maxHp * trapType.damage);
+        const damage = absorbWithShield(Math.floor(r.maxHp * trapType.damage));
         r.currentHp -= damage;
+        r.lastHitBy = { name: trapType.name };
         addFloatingText(gameState.player.x, gameState.player.y, `-${damage}`, trapType.color || '#ff0000');
         playSound('trap');
     }
@@ -8385,7 +10889,7 @@ function handleTrapEffect(trap, trapType) {
                 break;
             case 'spawn':
                 // Spawn 1-3 additional monsters
-                const spawnCount = 1 + Math.floor(Math.random() * 3);
+                const spawnCount = 1 + Math.floor(gameRandom() * 3);
                 for (let i = 0; i < spawnCount; i++) {
                     spawnSingleMonster();
                 }
@@ -8400,7 +10904,7 @@ function handleTrapEffect(trap, trapType) {
                 break;
             case 'knockback':
                 // Push player in random direction
-                const knockDir = { x: (Math.random() - 0.5) * 2, y: (Math.random() - 0.5) * 2 };
+                const knockDir = { x: (gameRandom() - 0.5) * 2, y: (gameRandom() - 0.5) * 2 };
                 const knockDist = 2;
                 let kx = Math.round(gameState.player.x + knockDir.x * knockDist);
                 let ky = Math.round(gameState.player.y + knockDir.y * knockDist);
@@ -8432,7 +10936,7 @@ function spawnSingleMonster() {
 
 // --- SECRET ROOM SYSTEM ---
 function generateSecretRoom() {
-    const roomType = SECRET_ROOM_TYPES[Math.floor(Math.random() * SECRET_ROOM_TYPES.length)];
+    const roomType = SECRET_ROOM_TYPES[Math.floor(gameRandom() * SECRET_ROOM_TYPES.length)];
     return {
         ...roomType,
         discovered: false,
@@ -8459,8 +10963,9 @@ function claimSecretRoomReward(secretRoom) {
     const rewards = secretRoom.rewards;
 
     if (rewards.gold) {
-        gameState.soulPoints += rewards.gold;
-        addFloatingText(gameState.player.x, gameState.player.y, `+${rewards.gold} Souls`, '#ffd700');
+        const gold = Math.floor(rewards.gold * getGameModeModifier('rewardMult'));
+        gameState.soulPoints += gold;
+        addFloatingText(gameState.player.x, gameState.player.y, `+${gold} Souls`, '#ffd700');
     }
 
     if (rewards.chests) {
@@ -8487,7 +10992,7 @@ function claimSecretRoomReward(secretRoom) {
         addFloatingText(gameState.player.x, gameState.player.y - 1, `+${Math.round(buff.value * 100)}% All Stats!`, '#9400d3');
     }
 
-    if (rewards.heal) {
+    if (rewards.heal && !isHealingBlocked()) {
         const healAmount = Math.floor(r.maxHp * rewards.heal);
         r.currentHp = Math.min(r.maxHp, r.currentHp + healAmount);
         addFloatingText(gameState.player.x, gameState.player.y, `+${healAmount} HP`, '#00ff00');
@@ -8504,8 +11009,9 @@ function claimSecretRoomReward(secretRoom) {
         // Upgrade weapon tier
         const weapon = r.equipment?.weapon;
         if (weapon) {
+            // Mythic only drops or gets crafted, so upgrades stop at legendary
             const currentRarityIndex = RARITIES.indexOf(weapon.rarity);
-            if (currentRarityIndex < RARITIES.length - 1) {
+            if (currentRarityIndex < LEGENDARY_RARITY_IDX) {
                 weapon.rarity = RARITIES[currentRarityIndex + 1];
                 addFloatingText(gameState.player.x, gameState.player.y, 'WEAPON UPGRADED!', '#ffd700');
             }
@@ -8524,7 +11030,7 @@ function claimSecretRoomReward(secretRoom) {
         for (let i = 0; i < rewards.potions; i++) {
             // Grant random temporary buff
             const buffTypes = ['attack', 'defense', 'speed', 'critChance'];
-            const buffType = buffTypes[Math.floor(Math.random() * buffTypes.length)];
+            const buffType = buffTypes[Math.floor(gameRandom() * buffTypes.length)];
             gameState.runBuffs.push({
                 type: 'potion',
                 stat: buffType,
@@ -8555,19 +11061,20 @@ function updateWeatherSystem(dt) {
 
 function changeWeather() {
     // 60% chance of clear weather, 40% chance of other weather
-    if (Math.random() < 0.6) {
+    if (gameRandom() < 0.6) {
         gameState.currentWeather = 'clear';
     } else {
         const weatherOptions = WEATHER_TYPES.filter(w => w.id !== 'clear');
-        const newWeather = weatherOptions[Math.floor(Math.random() * weatherOptions.length)];
+        const newWeather = weatherOptions[Math.floor(gameRandom() * weatherOptions.length)];
         gameState.currentWeather = newWeather.id;
     }
-    gameState.weatherTimer = gameState.weatherDuration + Math.random() * 60;
+    gameState.weatherTimer = gameState.weatherDuration + gameRandom() * 60;
 
     const weather = WEATHER_TYPES.find(w => w.id === gameState.currentWeather);
     if (weather && weather.id !== 'clear') {
         addLog(`Weather changed to: ${weather.name}`);
     }
+    refreshPlayerStats();
 }
 
 function applyWeatherEffects(dt) {
@@ -8579,25 +11086,27 @@ function applyWeatherEffects(dt) {
 
     // Apply DOT damage from certain weather
     if (weather.effect.dotDamage) {
-        const dotDmg = Math.floor(r.maxHp * weather.effect.dotDamage * dt);
+        const dotDmg = absorbWithShield(Math.floor(r.maxHp * weather.effect.dotDamage * dt));
         if (dotDmg > 0) {
             r.currentHp -= dotDmg;
+            r.lastHitBy = { name: weather.name };
         }
     }
 
     // Random lightning strikes in storms
-    if (weather.effect.lightningChance && Math.random() < weather.effect.lightningChance * dt) {
+    if (weather.effect.lightningChance && gameRandom() < weather.effect.lightningChance * dt) {
         // Strike a random monster or player
-        if (Math.random() < 0.7 && gameState.monsters.length > 0) {
-            const target = gameState.monsters[Math.floor(Math.random() * gameState.monsters.length)];
+        if (gameRandom() < 0.7 && gameState.monsters.length > 0) {
+            const target = gameState.monsters[Math.floor(gameRandom() * gameState.monsters.length)];
             const damage = Math.floor(target.maxHp * 0.2);
             target.hp -= damage;
             addVisualEffect('lightning', target.x, target.y, 0.5, { color: '#FFD700' });
             addFloatingText(target.x, target.y, `-${damage}`, '#FFD700');
             playSound('lightning');
         } else {
-            const damage = Math.floor(r.maxHp * 0.1);
+            const damage = absorbWithShield(Math.floor(r.maxHp * 0.1));
             r.currentHp -= damage;
+            r.lastHitBy = { name: weather.name, move: 'Lightning' };
             addVisualEffect('lightning', gameState.player.x, gameState.player.y, 0.5, { color: '#FFD700' });
             addFloatingText(gameState.player.x, gameState.player.y, `-${damage}`, '#FFD700');
         }
@@ -8611,15 +11120,16 @@ function getWeatherStatModifier(stat) {
 }
 
 function renderWeatherParticles() {
+    if (HEADLESS) return;
     const weather = WEATHER_TYPES.find(w => w.id === gameState.currentWeather);
     if (!weather || weather.particles === 0) return;
 
     // Add weather particles
     for (let i = 0; i < weather.particles / 60; i++) {
         const particle = {
-            x: Math.random() * canvas.width,
+            x: visualRandom() * canvas.width,
             y: -10,
-            vx: weather.id === 'sandstorm' ? 3 : (Math.random() - 0.5),
+            vx: weather.id === 'sandstorm' ? 3 : (visualRandom() - 0.5),
             vy: weather.id === 'snow' ? 1 : 5,
             life: 3,
             maxLife: 3,
@@ -8645,6 +11155,7 @@ function updateDayNightCycle(dt) {
             if (gameState.currentPhase !== phase.id) {
                 gameState.currentPhase = phase.id;
                 addLog(`Time: ${phase.name}`);
+                refreshPlayerStats();
             }
             break;
         }
@@ -8683,11 +11194,13 @@ function addCraftingMaterial(materialId, amount = 1) {
     if (material) {
         addFloatingText(gameState.player.x, gameState.player.y, `+${amount} ${material.name}`, material.color);
     }
+    if (panels.equipment) updateCraftingUI();
 }
 
 function canCraftRecipe(recipeId) {
     const recipe = CRAFTING_RECIPES.find(r => r.id === recipeId);
     if (!recipe) return false;
+    if (recipe.result.rarity === 'mythic' && !isMythicUnlocked()) return false;
 
     for (const [matId, required] of Object.entries(recipe.materials)) {
         if ((gameState.craftingMaterials[matId] || 0) < required) {
@@ -8697,8 +11210,14 @@ function canCraftRecipe(recipeId) {
     return true;
 }
 
+// Crafted gear scales with the current floor like a drop, but never rolls random affixes
 function craftItem(recipeId) {
-    if (!canCraftRecipe(recipeId)) {
+    if (!gameState.run || !canCraftRecipe(recipeId)) {
+        playSound('error');
+        return null;
+    }
+    if ((gameState.run.inventory || []).length >= getInventorySize()) {
+        addLog('Inventory full! Make room before crafting.', 'monster-action');
         playSound('error');
         return null;
     }
@@ -8710,36 +11229,73 @@ function craftItem(recipeId) {
         gameState.craftingMaterials[matId] -= required;
     }
 
-    // Generate the equipment
-    const baseItem = EQUIPMENT_BASES[recipe.type].find(b => b.name === recipe.result.base);
+    // Generate the equipment in the same shape as generateEquipment
+    const { base: baseName, rarity } = recipe.result;
+    const base = EQUIPMENT_BASES[recipe.type].find(b => b.name === baseName);
+    const floor = gameState.run.floor;
+    const mult = RARITY_MULT[rarity] * (1 + floor * 0.05);
     const equipment = {
         name: recipe.name,
+        baseName,
         type: recipe.type,
-        rarity: recipe.result.rarity,
-        stats: { ...baseItem },
-        icon: baseItem.icon
+        rarity,
+        level: floor,
+        icon: base.icon || EQUIPMENT_SLOT_ICONS[recipe.type],
+        crafted: true
     };
-
-    // Apply rarity multiplier
-    const mult = RARITY_MULT[recipe.result.rarity];
-    for (const stat of ['atk', 'def', 'hp', 'crit', 'critDmg', 'eva', 'spd']) {
-        if (equipment.stats[stat]) {
-            equipment.stats[stat] = Math.floor(equipment.stats[stat] * mult);
-        }
+    applyBaseStats(equipment, base, mult);
+    if (rarity === 'mythic') {
+        equipment.affix = applyMythicAffix(equipment, baseName, mult);
+        gameState.stats.mythicsFound++;
     }
 
     playSound('powerup');
-    addFloatingText(gameState.player.x, gameState.player.y, `Crafted: ${recipe.name}!`, RARITY_COLORS[recipe.result.rarity]);
+    addFloatingText(gameState.player.x, gameState.player.y, `Crafted: ${recipe.name}!`, RARITY_COLORS[rarity]);
+    addLog(`Crafted ${recipe.name}!`, 'level-up');
 
+    addToInventory(equipment);
+    updateCraftingUI();
+    saveGame();
     return equipment;
 }
 
+function updateCraftingUI() {
+    const materialsEl = document.getElementById('crafting-materials');
+    const recipesEl = document.getElementById('crafting-recipes');
+    if (!materialsEl || !recipesEl) return;
+
+    const owned = CRAFTING_MATERIALS.filter(m => (gameState.craftingMaterials[m.id] || 0) > 0);
+    materialsEl.innerHTML = owned.length > 0
+        ? owned.map(m => `<span class="craft-material" style="color: ${m.color}" title="${m.name}">${m.icon} ${formatNum(gameState.craftingMaterials[m.id])}</span>`).join('')
+        : '<span class="craft-empty">No materials yet. Monsters drop them as you descend.</span>';
+
+    recipesEl.innerHTML = CRAFTING_RECIPES
+        .filter(recipe => recipe.result.rarity !== 'mythic' || isMythicUnlocked())
+        .map(recipe => {
+            const base = EQUIPMENT_BASES[recipe.type].find(b => b.name === recipe.result.base);
+            const materials = Object.entries(recipe.materials).map(([matId, required]) => {
+                const material = CRAFTING_MATERIALS.find(m => m.id === matId);
+                const have = gameState.craftingMaterials[matId] || 0;
+                return `<span class="recipe-material ${have >= required ? 'have' : 'missing'}" title="${material.name}">${material.icon} ${Math.min(have, required)}/${required}</span>`;
+            }).join('');
+            return `
+            <div class="recipe-item ${recipe.result.rarity}" style="border-left-color: ${RARITY_COLORS[recipe.result.rarity]}">
+                <span class="recipe-icon">${base.icon}</span>
+                <div class="recipe-info">
+                    <span class="recipe-name" style="color: ${RARITY_COLORS[recipe.result.rarity]}">${recipe.name}</span>
+                    <span class="recipe-materials">${materials}</span>
+                </div>
+                <button class="recipe-craft-btn" ${canCraftRecipe(recipe.id) && gameState.run ? '' : 'disabled'} onclick="craftItem('${recipe.id}')">Craft</button>
+            </div>`;
+        }).join('');
+}
+
 function dropCraftingMaterial() {
     // Called when monster dies - chance to drop materials
     const floor = gameState.run?.floor || 1;
     const dropChance = 0.15 + (floor * 0.002); // Increases with floor
 
-    if (Math.random() > dropChance) return;
+    if (gameRandom() > dropChance) return;
 
     // Determine material tier based on floor
     let tierChances = [0.5, 0.3, 0.15, 0.04, 0.01]; // Tier 1-5 base chances
@@ -8747,7 +11303,7 @@ function dropCraftingMaterial() {
     if (floor > 50) tierChances = [0.15, 0.30, 0.35, 0.15, 0.05];
     if (floor > 100) tierChances = [0.05, 0.20, 0.40, 0.25, 0.10];
 
-    let roll = Math.random();
+    let roll = gameRandom();
     let tier = 1;
     for (let i = 0; i < tierChances.length; i++) {
         roll -= tierChances[i];
@@ -8759,7 +11315,7 @@ function dropCraftingMaterial() {
 
     const tierMaterials = CRAFTING_MATERIALS.filter(m => m.tier === tier);
     if (tierMaterials.length > 0) {
-        const material = tierMaterials[Math.floor(Math.random() * tierMaterials.length)];
+        const material = tierMaterials[Math.floor(gameRandom() * tierMaterials.length)];
         addCraftingMaterial(material.id, 1);
     }
 }
@@ -8813,6 +11369,7 @@ function enchantItem(equipment, enchantmentId) {
     return true;
 }
 
+// Sums the effect over equipped enchantments and rolled item affixes
 function getEnchantmentBonus(effectType) {
     const r = gameState.run;
     if (!r || !r.equipment) return 0;
@@ -8823,10 +11380,135 @@ function getEnchantmentBonus(effectType) {
         if (item && item.enchantment && item.enchantment.effect[effectType]) {
             total += item.enchantment.effect[effectType];
         }
+        (item?.affixes || []).forEach(affix => {
+            total += affix.effect?.[effectType] || 0;
+        });
     }
     return total;
 }
 
+// Names of the equipped enchantments and affixes that have an effect, for stat breakdowns
+function getEnchantmentSources(effectType) {
+    const r = gameState.run;
+    if (!r || !r.equipment) return [];
+    const sources = [];
+    Object.values(r.equipment).forEach(item => {
+        if (item?.enchantment?.effect[effectType]) sources.push(`${item.enchantment.icon} ${item.enchantment.name}`);
+        (item?.affixes || []).filter(affix => affix.effect?.[effectType]).forEach(affix => sources.push(`◆ ${affix.name}`));
+    });
+    return sources;
+}
+
+// Berserker enchantment: bonus damage while below its HP threshold
+function getEnchantmentDamageMult() {
+    const r = gameState.run;
+    const bonus = getEnchantmentBonus('lowHpDamage');
+    if (!bonus) return 1;
+    const threshold = getEnchantmentBonus('hpThreshold') || 0.3;
+    return r.currentHp / r.maxHp < threshold ? 1 + bonus : 1;
+}
+
+function applyEnchantmentsOnHit(monster, damage) {
+    const burnChance = getEnchantmentBonus('burnChance');
+    if (burnChance && gameRandom() < burnChance) {
+        igniteMonster(monster, damage * getEnchantmentBonus('burnDamage'));
+    }
+    const freezeChance = getEnchantmentBonus('freezeChance');
+    if (freezeChance && gameRandom() < freezeChance) {
+        applyStatus(monster, 'freeze');
+    }
+    const chainChance = getEnchantmentBonus('chainChance');
+    if (chainChance && gameRandom() < chainChance) {
+        chainLightning(monster, damage * getEnchantmentBonus('chainDamage'));
+    }
+    healFromDamage(damage * getEnchantmentBonus('lifesteal'));
+}
+
+// Protection enchantment
+function applyEnchantmentsOnDamageTaken(monster, damage) {
+    const reduction = Math.min(getEnchantmentBonus('damageReduction'), 0.9);
+    return reduction ? Math.max(1, Math.floor(damage * (1 - reduction))) : damage;
+}
+
+// --- ENVIRONMENT STAT MODIFIERS ---
+/**
+ * Stat changes from the current weather, time of day and equipped enchantments.
+ * Weather fractions and time-of-day values become multipliers; evasion and crit
+ * chance are flat percentage points.
+ * @returns {Array<{source: string, stat: string, mult?: number, add?: number}>}
+ */
+function getEnvironmentStatModifiers() {
+    const mods = [];
+
+    const weather = WEATHER_TYPES.find(w => w.id === gameState.currentWeather);
+    if (weather?.effect) {
+        const source = `☁ ${weather.name}`;
+        ['speed', 'defense'].forEach(stat => {
+            const value = getWeatherStatModifier(stat);
+            if (value) mods.push({ source, stat, mult: 1 + value });
+        });
+        ['evasion', 'critChance'].forEach(stat => {
+            const value = getWeatherStatModifier(stat);
+            if (value) mods.push({ source, stat, add: value });
+        });
+    }
+
+    const phase = getCurrentDayPhase();
+    if (phase?.effect) {
+        const source = `🕐 ${phase.name}`;
+        ['attack', 'defense', 'speed', 'critDamage'].forEach(stat => {
+            const value = getDayNightModifier(stat);
+            if (value !== 1) mods.push({ source, stat, mult: value });
+        });
+        ['evasion', 'critChance'].forEach(stat => {
+            const value = getDayNightModifier(stat);
+            if (value) mods.push({ source, stat, add: value });
+        });
+    }
+
+    const haste = getEnchantmentBonus('speedBonus');
+    if (haste) mods.push({ source: getEnchantmentSources('speedBonus').join(', '), stat: 'speed', mult: 1 + haste });
+
+    return mods;
+}
+
+// Recalculates run stats after a modifier source changes, keeping current HP within the new max
+function refreshPlayerStats() {
+    const r = gameState.run;
+    if (!r) return;
+    Object.assign(r, calculatePlayerStats());
+    r.currentHp = Math.min(r.currentHp, r.maxHp);
+    updateAllUI();
+}
+
+const STAT_MODIFIER_LABELS = { attack: 'ATK', defense: 'DEF', speed: 'SPD', evasion: 'EVA', critChance: 'CRIT', critDamage: 'CRIT DMG' };
+
+// Stats panel: which weather, phase and enchantment currently change each stat
+function updateStatModifiersUI() {
+    const container = DOM.stat_modifiers;
+    if (!container) return;
+
+    const mods = getEnvironmentStatModifiers();
+    if (!mods.length) {
+        container.innerHTML = '';
+        return;
+    }
+
+    const bySource = {};
+    mods.forEach(mod => {
+        const amount = mod.mult ? Math.round((mod.mult - 1) * 100) : mod.add;
+        const text = `${STAT_MODIFIER_LABELS[mod.stat]} ${amount >= 0 ? '+' : ''}${amount}${mod.mult ? '%' : ''}`;
+        (bySource[mod.source] = bySource[mod.source] || []).push(text);
+    });
+
+    container.innerHTML = `<h3>Active Modifiers</h3>` + Object.entries(bySource).map(([source, parts]) => `
+        <div class="stat-modifier-row">
+            <span class="stat-modifier-source">${source}</span>
+            <span class="stat-modifier-effects">${parts.join(', ')}</span>
+        </div>
+    `).join('');
+}
+
 // --- PET EVOLUTION SYSTEM ---
 function getPetLevel(petId) {
     return gameState.petLevels[petId] || 1;
@@ -9023,6 +11705,9 @@ function renderMinimap() {
 
 // --- DAMAGE STATISTICS ---
 function logDamage(amount, category = 'player') {
+    if (category === 'player' && gameState.run) {
+        chargeUltimate(amount / Math.max(1, gameState.run.attack) * ULTIMATE_CONFIG.damageCharge);
+    }
     const now = Date.now();
     gameState.damageLog.push({ amount, category, time: now });
     gameState.sessionDamage[category] = (gameState.sessionDamage[category] || 0) + amount;
@@ -9134,49 +11819,421 @@ function selectGameMode(modeId) {
     if (!mode) return false;
 
     // Check unlock requirements
-    if (mode.unlockFloor && gameState.bestFloor < mode.unlockFloor) {
-        addLog(`Unlock ${mode.name} by reaching floor ${mode.unlockFloor}`);
-        playSound('error');
-        return false;
-    }
-    if (mode.unlockBosses && gameState.stats.bossesKilled < mode.unlockBosses) {
-        addLog(`Unlock ${mode.name} by defeating ${mode.unlockBosses} bosses`);
+    const lock = getGameModeLock(mode, getGameModeProgress());
+    if (lock) {
+        addLog(`Unlock ${mode.name} by ${lock}`);
         playSound('error');
         return false;
     }
 
-    gameState.currentGameMode = modeId;
+    // Takes effect when the next run starts
+    gameState.selectedGameMode = modeId;
     addLog(`Game Mode: ${mode.name}`);
     playSound('click');
     return true;
 }
 
+// Progress that decides which modes are unlocked, shaped like a profile summary
+function getGameModeProgress() {
+    return {
+        bestFloor: gameState.bestFloor,
+        bossesKilled: gameState.stats.bossesKilled,
+        selectedGameMode: gameState.selectedGameMode,
+        modeBests: gameState.modeBests
+    };
+}
+
+/**
+ * @param {Object} mode - GAME_MODES entry
+ * @param {Object} progress - From getGameModeProgress or getProfileSummary
+ * @returns {string|null} What is still needed to unlock the mode, or null when unlocked
+ */
+function getGameModeLock(mode, progress) {
+    if (mode.unlockFloor && progress.bestFloor < mode.unlockFloor) return `reaching floor ${mode.unlockFloor}`;
+    if (mode.unlockBosses && progress.bossesKilled < mode.unlockBosses) return `defeating ${mode.unlockBosses} bosses`;
+    return null;
+}
+
+/**
+ * Renders a card per game mode with its description, modifiers, lock state and best floor
+ * @param {HTMLElement} container - Element to fill
+ * @param {Object} progress - From getGameModeProgress or getProfileSummary
+ * @param {string} selectedId - Mode to highlight
+ */
+function renderGameModeCards(container, progress, selectedId) {
+    if (!container) return;
+    container.innerHTML = Object.entries(GAME_MODES).map(([id, mode]) => {
+        const lock = getGameModeLock(mode, progress);
+        const best = progress.modeBests?.[id];
+        const modifiers = Object.entries(mode.modifiers)
+            .map(([key, value]) => GAME_MODE_MODIFIER_LABELS[key]?.(value))
+            .filter(Boolean);
+        return `
+            <div class="mode-card ${id === selectedId ? 'selected' : ''} ${lock ? 'locked' : ''}" data-mode="${id}">
+                <div class="mode-card-header">
+                    <span class="mode-card-name">${mode.name}</span>
+                    <span class="mode-card-best">${best ? `Best: Floor ${best}` : ''}</span>
+                </div>
+                <div class="mode-card-desc">${mode.desc}</div>
+                <div class="mode-card-mods">${modifiers.map(label => `<span class="mode-mod">${label}</span>`).join('')}</div>
+                ${lock ? `<div class="mode-card-lock">🔒 Unlock by ${lock}</div>` : ''}
+            </div>
+        `;
+    }).join('');
+}
+
+function openModeSelect() {
+    // Don't let the death screen restart the run while the player is choosing
+    clearModalTimer('death-modal');
+    renderGameModeCards(DOM.mode_options, getGameModeProgress(), gameState.selectedGameMode);
+    DOM.mode_modal.classList.add('active');
+}
+
+// Tracks the deepest floor reached in each game mode
+function recordModeBest() {
+    const mode = gameState.currentGameMode;
+    if (!gameState.run || (gameState.modeBests[mode] || 0) >= gameState.run.floor) return;
+    gameState.modeBests[mode] = gameState.run.floor;
+}
+
+// --- SPEEDRUN ---
+const SPEEDRUN_HISTORY_SIZE = 20;
+
+function isSpeedrun() {
+    return !!getGameModeModifier('timer');
+}
+
+// m:ss.s for split display
+function formatSplitTime(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes}:${(seconds % 60).toFixed(1).padStart(4, '0')}`;
+}
+
+function getSpeedrunPB(cls = gameState.selectedClass) {
+    const history = gameState.speedrunRecords[cls];
+    return history?.length ? history[history.length - 1] : null;
+}
+
+/**
+ * Compares a split against the personal best at the same point
+ * @param {number} index - Split index (0 = first floor)
+ * @param {number} time - Split time in seconds
+ * @returns {number|null} Seconds behind the PB (negative when ahead), or null without a PB split
+ */
+function getSplitDelta(index, time) {
+    const pbSplit = getSpeedrunPB()?.splits[index];
+    return pbSplit ? time - pbSplit.time : null;
+}
+
+function formatSplitDelta(delta) {
+    return `${delta <= 0 ? '-' : '+'}${Math.abs(delta).toFixed(1)}s`;
+}
+
+function recordFloorClearTime() {
+    if (!isSpeedrun()) return;
+    gameState.run.floorClearTime = gameState.gameModeTimer;
+}
+
+// Called as the player leaves a floor, before the floor number advances
+function recordSpeedrunSplit() {
+    if (!isSpeedrun()) return;
+    const r = gameState.run;
+    const time = gameState.gameModeTimer;
+
+    r.splits.push({ floor: r.floor, clear: r.floorClearTime ?? time, time });
+    r.floorClearTime = null;
+
+    const delta = getSplitDelta(r.splits.length - 1, time);
+    const deltaText = delta === null ? '' : ` (${formatSplitDelta(delta)})`;
+    addLog(`Split ${r.floor}: ${formatSplitTime(time)}${deltaText}`, delta !== null && delta <= 0 ? 'level-up' : 'floor-clear');
+}
+
+// Target floor reached: store a new PB if it is one and end the run
+function finishSpeedrun() {
+    const r = gameState.run;
+    const cls = gameState.selectedClass;
+    const time = gameState.gameModeTimer;
+    const pb = getSpeedrunPB(cls);
+
+    if (!pb || time < pb.time) {
+        const history = gameState.speedrunRecords[cls] || [];
+        history.push({ time, splits: r.splits, level: r.level, seed: r.seed, date: Date.now() });
+        gameState.speedrunRecords[cls] = history.slice(-SPEEDRUN_HISTORY_SIZE);
+        addLog(`New personal best: ${formatSplitTime(time)}!${pb ? ` (${formatSplitDelta(time - pb.time)})` : ''}`, 'level-up');
+    } else {
+        addLog(`Speedrun complete: ${formatSplitTime(time)} (PB ${formatSplitTime(pb.time)})`, 'floor-clear');
+    }
+
+    playSound('powerup');
+    endRun('Speedrun Complete!');
+}
+
+function renderSpeedrunTimer() {
+    if (!isSpeedrun() || !gameState.run) return;
+    const r = gameState.run;
+    const time = gameState.gameModeTimer;
+
+    // Behind once the PB's split for this floor has passed, otherwise judged by the last split
+    const pbSplit = getSpeedrunPB()?.splits[r.splits.length];
+    const lastSplit = r.splits[r.splits.length - 1];
+    let delta = lastSplit ? getSplitDelta(r.splits.length - 1, lastSplit.time) : null;
+    if (pbSplit && time > pbSplit.time) delta = time - pbSplit.time;
+    const color = delta === null ? '#ffffff' : (delta <= 0 ? '#2ecc71' : '#e74c3c');
+
+    ctx.save();
+    ctx.textAlign = 'center';
+    ctx.strokeStyle = '#000000';
+    ctx.lineWidth = 3;
+    ctx.font = 'bold 18px monospace';
+    ctx.fillStyle = color;
+    const timerText = `⏱ ${formatSplitTime(time)}`;
+    ctx.strokeText(timerText, canvas.width / 2, 24);
+    ctx.fillText(timerText, canvas.width / 2, 24);
+
+    ctx.font = '11px monospace';
+    const infoText = `Floor ${r.floor}/${getGameModeModifier('targetFloor')}${delta === null ? '' : `  ${formatSplitDelta(delta)}`}`;
+    ctx.strokeText(infoText, canvas.width / 2, 40);
+    ctx.fillText(infoText, canvas.width / 2, 40);
+    ctx.restore();
+}
+
+// Telegraphed tiles fill in from the centre as the wind-up runs out
+function renderTelegraphs(time) {
+    gameState.telegraphs.forEach(t => {
+        const progress = 1 - t.timer / t.duration;
+        const inset = TILE_SIZE / 2 * (1 - progress);
+        ctx.save();
+        ctx.fillStyle = t.color;
+        ctx.strokeStyle = t.color;
+        ctx.lineWidth = 2;
+        t.tiles.forEach(({ x, y }) => {
+            const px = x * TILE_SIZE, py = y * TILE_SIZE;
+            ctx.globalAlpha = 0.15 + Math.sin(time * 12) * 0.05;
+            ctx.fillRect(px, py, TILE_SIZE, TILE_SIZE);
+            ctx.globalAlpha = 0.45;
+            ctx.fillRect(px + inset, py + inset, TILE_SIZE - inset * 2, TILE_SIZE - inset * 2);
+            ctx.globalAlpha = 0.8;
+            ctx.strokeRect(px + 1, py + 1, TILE_SIZE - 2, TILE_SIZE - 2);
+        });
+        ctx.restore();
+    });
+}
+
+function renderWebs() {
+    if (!gameState.webs.length) return;
+    ctx.save();
+    ctx.strokeStyle = '#e8e8f0';
+    ctx.lineWidth = 1;
+    gameState.webs.forEach(w => {
+        const cx = w.x * TILE_SIZE + TILE_SIZE / 2;
+        const cy = w.y * TILE_SIZE + TILE_SIZE / 2;
+        const radius = TILE_SIZE * 0.45;
+        ctx.globalAlpha = 0.7 * Math.min(1, w.timer / 2); // Fade out over the last 2 seconds
+        ctx.beginPath();
+        for (let i = 0; i < 4; i++) {
+            const angle = i * Math.PI / 4;
+            ctx.moveTo(cx - Math.cos(angle) * radius, cy - Math.sin(angle) * radius);
+            ctx.lineTo(cx + Math.cos(angle) * radius, cy + Math.sin(angle) * radius);
+        }
+        [0.35, 0.7, 1].forEach(k => {
+            for (let i = 0; i <= 8; i++) {
+                const angle = i * Math.PI / 4;
+                const px = cx + Math.cos(angle) * radius * k;
+                const py = cy + Math.sin(angle) * radius * k;
+                if (i === 0) ctx.moveTo(px, py);
+                else ctx.lineTo(px, py);
+            }
+        });
+        ctx.stroke();
+    });
+    ctx.restore();
+}
+
+// Boss health bar across the top of the screen, with a marker at each phase threshold
+function renderBossHealthBar() {
+    const boss = gameState.monsters.find(m => m.isBoss);
+    if (!boss) return;
+    const phases = getBossType(boss)?.phases || [];
+    const phase = boss.phase || 0;
+    const width = Math.min(360, canvas.width * 0.6);
+    const height = 12;
+    const x = (canvas.width - width) / 2;
+    const y = isSpeedrun() ? 62 : 22; // Below the speedrun timer when it is showing
+
+    ctx.save();
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+    ctx.fillRect(x - 2, y - 2, width + 4, height + 4);
+    ctx.fillStyle = '#dc3545';
+    ctx.fillRect(x, y, width * Math.max(0, boss.currentHp / boss.maxHp), height);
+    if (boss.shield > 0) {
+        ctx.fillStyle = '#3498db';
+        ctx.fillRect(x, y, width * Math.min(1, boss.shield / boss.maxHp), 3);
+    }
+
+    // Gold markers for phases still to come, faded once reached
+    phases.slice(1).forEach((p, i) => {
+        ctx.fillStyle = phase > i ? 'rgba(255, 255, 255, 0.4)' : '#ffd700';
+        ctx.fillRect(x + width * p.below - 1, y - 3, 2, height + 6);
+    });
+
+    ctx.textAlign = 'center';
+    ctx.font = 'bold 12px monospace';
+    ctx.strokeStyle = '#000000';
+    ctx.lineWidth = 3;
+    ctx.fillStyle = '#ffffff';
+    const label = `${boss.icon || ''} ${boss.name}${phases.length > 1 ? `  Phase ${phase + 1}/${phases.length}` : ''}`;
+    ctx.strokeText(label, canvas.width / 2, y - 5);
+    ctx.fillText(label, canvas.width / 2, y - 5);
+    ctx.restore();
+}
+
+// Shows the current class's splits (live run and PB history) as JSON for comparing routes
+function exportSpeedrunSplits() {
+    const cls = gameState.selectedClass;
+    const data = {
+        class: cls,
+        targetFloor: GAME_MODES.speedrun.modifiers.targetFloor,
+        currentRun: isSpeedrun() && gameState.run ? { time: gameState.gameModeTimer, splits: gameState.run.splits } : null,
+        personalBests: gameState.speedrunRecords[cls] || []
+    };
+    DOM.save_textarea.value = JSON.stringify(data, null, 2);
+    DOM.save_textarea.readOnly = true;
+    DOM.save_modal_title.textContent = 'Speedrun Splits';
+    DOM.save_modal.classList.add('active');
+}
+
+// Logs every game mode whose unlockFloor lies between the old and new best floor
+function announceGameModeUnlocks(previousBest, newBest) {
+    Object.values(GAME_MODES).forEach(mode => {
+        if (mode.unlockFloor && previousBest < mode.unlockFloor && newBest >= mode.unlockFloor) {
+            addLog(`Game Mode unlocked: ${mode.name}!`, 'level-up');
+        }
+    });
+}
+
 function getGameModeModifier(stat) {
     const mode = GAME_MODES[gameState.currentGameMode];
     if (!mode || !mode.modifiers) return stat === 'rewardMult' ? 1 : 0;
     return mode.modifiers[stat] || (stat === 'rewardMult' ? 1 : 0);
 }
 
-function applyGameModeModifiers() {
-    const mode = GAME_MODES[gameState.currentGameMode];
-    if (!mode || !mode.modifiers) return;
+/**
+ * Compounding monster stat multiplier for modes with scalingDifficulty (Endless)
+ * @param {number} floor - Floor the monster spawns on
+ * @returns {number} Multiplier for monster HP, attack and defense
+ */
+function getEndlessScaling(floor) {
+    const scaling = getGameModeModifier('scalingDifficulty');
+    return scaling ? Math.pow(scaling, floor - 1) : 1;
+}
 
-    const r = gameState.run;
-    if (!r) return;
+// --- BOSS RUSH ---
+// Boss Rush exists as both a game mode and a challenge; either one turns every floor into a boss arena
+function isBossRush() {
+    return !!(getGameModeModifier('bossesOnly') || gameState.activeChallenge?.condition?.bossesOnly);
+}
 
-    // Apply enemy modifiers
-    if (mode.modifiers.enemyHp) {
-        gameState.monsters.forEach(m => {
-            m.maxHp = Math.floor(m.maxHp * mode.modifiers.enemyHp);
-            m.hp = m.maxHp;
-        });
+// True when the game mode or active challenge forbids healing (Boss Rush, Iron Will)
+function isHealingBlocked() {
+    return !!(getGameModeModifier('noHeal') || gameState.activeChallenge?.modifiers?.noHeal);
+}
+
+// Boss loot rolls and boss XP are multiplied in Boss Rush
+function getBossRewardMult() {
+    return getGameModeModifier('bossRewards') || 1;
+}
+
+// Tracks the deepest Endless floor reached with the current class
+function recordEndlessFloor() {
+    if (gameState.currentGameMode !== 'endless' || !gameState.run || !gameState.selectedClass) return;
+
+    const cls = gameState.selectedClass;
+    const entry = gameState.endlessLeaderboard[cls];
+    if (entry && entry.floor >= gameState.run.floor) return;
+
+    const isNewRecord = !!entry;
+    gameState.endlessLeaderboard[cls] = { floor: gameState.run.floor, date: Date.now() };
+    if (isNewRecord) {
+        addLog(`New Endless record for ${CLASSES[cls].name}: Floor ${gameState.run.floor}!`, 'level-up');
     }
+}
 
-    if (mode.modifiers.enemyDamage) {
-        gameState.monsters.forEach(m => {
-            m.attack = Math.floor(m.attack * mode.modifiers.enemyDamage);
-        });
+// --- HARDCORE CHARACTER ---
+// Hardcore runs use their own souls, upgrades, relics and prestige; everything else is shared
+const HARDCORE_FIELDS = ['soulPoints', 'upgrades', 'specialItems', 'relics', 'equippedRelics', 'prestigeLevel', 'prestigeMultiplier',
+    'prestigeTokens', 'prestigePerks'];
+
+function getHardcoreFields(source) {
+    return Object.fromEntries(HARDCORE_FIELDS.map(key => [key, source[key]]));
+}
+
+function createHardcoreCharacter() {
+    return JSON.parse(JSON.stringify(getHardcoreFields(SAVE_DEFAULTS)));
+}
+
+// Exchanges the live character in gameState with the parked one
+function swapHardcoreCharacter() {
+    const parked = gameState.hardcoreCharacter;
+    HARDCORE_FIELDS.forEach(key => {
+        [gameState[key], parked[key]] = [parked[key], gameState[key]];
+    });
+    gameState.hardcoreActive = !gameState.hardcoreActive;
+}
+
+/**
+ * Makes the live character match the current game mode, creating a fresh
+ * Hardcore character when none exists
+ */
+function syncHardcoreCharacter() {
+    const wantHardcore = gameState.currentGameMode === 'hardcore';
+    if (wantHardcore === gameState.hardcoreActive) return;
+
+    if (wantHardcore && !gameState.hardcoreCharacter) {
+        gameState.hardcoreCharacter = createHardcoreCharacter();
+        addLog('A new Hardcore hero steps into the dungeon. There are no second chances.', 'monster-action');
     }
+    swapHardcoreCharacter();
+    updateRelicsUI();
+    updatePrestigeUI();
+}
+
+/**
+ * Permadeath: records the fallen Hardcore hero and deletes their character
+ * @param {number} souls - Souls the hero earned on death (already multiplied)
+ */
+function endHardcoreCharacter(souls) {
+    gameState.hallOfFame.push({
+        class: gameState.selectedClass,
+        floor: gameState.run.floor,
+        level: gameState.run.level,
+        kills: gameState.run.killsThisRun || 0,
+        souls: souls,
+        killedBy: gameState.run.killedBy ? getKillerText(gameState.run.killedBy) : null,
+        date: Date.now()
+    });
+    gameState.hallOfFame.sort((a, b) => b.floor - a.floor || b.souls - a.souls);
+    gameState.hallOfFame = gameState.hallOfFame.slice(0, 10);
+
+    swapHardcoreCharacter();
+    gameState.hardcoreCharacter = null;
+    addLog(`Your Hardcore hero is gone forever. Entered the Hall of Fame at Floor ${gameState.run.floor}.`, 'monster-action');
+}
+
+/**
+ * Applies the game mode's enemy modifiers to a freshly generated monster.
+ * Every monster generator calls this, so floor spawns, traps and summons all match.
+ * @param {Object} monster - Monster built by generateMonster, generateMiniBoss or generateBoss
+ * @returns {Object} The same monster with mode modifiers applied
+ */
+function applyGameModeModifiers(monster) {
+    const hpMult = getGameModeModifier('enemyHp') || 1;
+    const damageMult = getGameModeModifier('enemyDamage') || 1;
+
+    monster.maxHp = Math.floor(monster.maxHp * hpMult);
+    monster.currentHp = monster.maxHp;
+    monster.attack = Math.floor(monster.attack * damageMult);
+    monster.xpReward = Math.floor(monster.xpReward * getGameModeModifier('rewardMult'));
+    return monster;
 }
 
 async function initGame() {
@@ -9186,17 +12243,25 @@ async function initGame() {
     await initSprites();
 
     loadGame();
+    saveLocked = false;
+    if (pendingGameMode) {
+        selectGameMode(pendingGameMode);
+        pendingGameMode = null;
+    }
     setupEventListeners();
     initTooltips();
+    initStatBreakdowns();
     updateAchievementsUI();
     updatePetsUI();
     updateMilestonesUI();
     updateDailyRewardsUI();
     updateStatsDashboard();
     updateSynergiesUI();
+    updatePrestigeShopUI();
 
     // Check for offline progress
     const offlineProgress = calculateOfflineProgress();
+    pendingOfflineProgress = offlineProgress;
     if (offlineProgress && offlineProgress.souls > 0) {
         showOfflineProgress(offlineProgress);
     }
@@ -9216,9 +12281,10 @@ async function initGame() {
     }
 
     if (!gameState.selectedClass) {
-        DOM.class_modal.classList.add('active');
+        openClassSelect();
     } else {
-        startNewRun();
+        if (gameState.run) resumeRun();
+        else startNewRun();
         // Show tutorial for new players
         if (!gameState.settings.tutorialComplete && gameState.totalRuns < 3) {
             setTimeout(showTutorial, 2000);
@@ -9229,6 +12295,9 @@ async function initGame() {
 }
 
 // ===================== INTRO SCREEN =====================
+// Mode picked on the intro screen, applied once initGame has loaded the save
+let pendingGameMode = null;
+
 function initIntroScreen() {
     const introScreen = document.getElementById('intro-screen');
     const gameContainer = document.getElementById('game-container');
@@ -9250,31 +12319,113 @@ function initIntroScreen() {
         for (let i = 0; i < 30; i++) {
             const particle = document.createElement('div');
             particle.className = 'intro-particle';
-            particle.style.left = Math.random() * 100 + '%';
-            particle.style.animationDelay = Math.random() * 10 + 's';
-            particle.style.animationDuration = (8 + Math.random() * 6) + 's';
+            particle.style.left = visualRandom() * 100 + '%';
+            particle.style.animationDelay = visualRandom() * 10 + 's';
+            particle.style.animationDuration = (8 + visualRandom() * 6) + 's';
             const colors = ['#7b2cbf', '#4a9eff', '#ffd700', '#28a745', '#17a2b8'];
-            particle.style.background = colors[Math.floor(Math.random() * colors.length)];
-            particle.style.width = (2 + Math.random() * 4) + 'px';
+            particle.style.background = colors[Math.floor(visualRandom() * colors.length)];
+            particle.style.width = (2 + visualRandom() * 4) + 'px';
             particle.style.height = particle.style.width;
             particlesContainer.appendChild(particle);
         }
     }
 
-    // Check for existing save
-    const savedData = localStorage.getItem('idleDungeonSave');
-    if (savedData) {
-        try {
-            const data = JSON.parse(savedData);
-            if (data.bestFloor > 0 || data.totalRuns > 0) {
-                continueBtn.style.display = 'flex';
-                continueInfo.textContent = `Floor ${data.bestFloor || 1} | ${data.totalRuns || 0} Runs`;
-            }
-        } catch (e) {
-            console.log('No valid save data');
-        }
+    // Continue button reflects the active profile
+    function refreshContinueButton() {
+        const summary = getProfileSummary(loadProfiles().activeId);
+        continueBtn.style.display = 'none';
+        if (!summary) return;
+        if (summary.activeRun) {
+            continueBtn.style.display = 'flex';
+            continueInfo.textContent = `Resume Floor ${summary.activeRun.run.floor} | ${summary.totalRuns} Runs`;
+        } else if (summary.bestFloor > 0 || summary.totalRuns > 0) {
+            continueBtn.style.display = 'flex';
+            continueInfo.textContent = `Floor ${summary.bestFloor || 1} | ${summary.totalRuns} Runs`;
+        }
+    }
+
+    // Save slot manager
+    function renderSaveSlots() {
+        const list = document.getElementById('save-slots');
+        if (!list) return;
+
+        const index = loadProfiles();
+        list.innerHTML = index.profiles.map(profile => {
+            const summary = getProfileSummary(profile.id);
+            const classIcon = summary?.selectedClass ? CLASSES[summary.selectedClass].icon : '❔';
+            const details = summary
+                ? `Floor ${summary.bestFloor} | Prestige ${summary.prestigeLevel} | Tier ${summary.ascensionTier} | ${formatTime(summary.timePlayed)}`
+                : 'Empty';
+            return `
+                <div class="save-slot ${profile.id === index.activeId ? 'active' : ''}" data-profile="${profile.id}">
+                    <span class="save-slot-icon">${classIcon}</span>
+                    <div class="save-slot-info">
+                        <span class="save-slot-name"></span>
+                        <span class="save-slot-details">${details}</span>
+                    </div>
+                    <div class="save-slot-actions">
+                        <button class="save-slot-btn" data-action="rename">Edit Name</button>
+                        <button class="save-slot-btn" data-action="duplicate">Duplicate</button>
+                        <button class="save-slot-btn danger" data-action="delete" ${index.profiles.length <= 1 ? 'disabled' : ''}>Delete</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        // Names are user input, so set them as text
+        list.querySelectorAll('.save-slot').forEach(slot => {
+            const profile = index.profiles.find(p => p.id === slot.dataset.profile);
+            slot.querySelector('.save-slot-name').textContent = profile.name;
+        });
+
+        refreshContinueButton();
+        renderIntroModes();
+    }
+
+    // Game mode picker, unlocked from the active profile's progress
+    function renderIntroModes() {
+        const summary = getProfileSummary(loadProfiles().activeId);
+        const progress = summary || { bestFloor: 0, bossesKilled: 0, selectedGameMode: 'normal', modeBests: {} };
+        renderGameModeCards(document.getElementById('intro-mode-options'), progress, pendingGameMode || progress.selectedGameMode);
     }
 
+    document.getElementById('intro-mode-options')?.addEventListener('click', (e) => {
+        const card = e.target.closest('.mode-card');
+        if (!card || card.classList.contains('locked')) return;
+        pendingGameMode = card.dataset.mode;
+        renderIntroModes();
+    });
+
+    document.getElementById('save-slots')?.addEventListener('click', (e) => {
+        const slot = e.target.closest('.save-slot');
+        if (!slot) return;
+        const profileId = slot.dataset.profile;
+        const action = e.target.closest('[data-action]')?.dataset.action;
+
+        if (action === 'rename') {
+            const current = loadProfiles().profiles.find(p => p.id === profileId);
+            const name = prompt('Edit Name', current?.name || '');
+            if (name && name.trim()) renameProfile(profileId, name.trim());
+        } else if (action === 'duplicate') {
+            duplicateProfile(profileId);
+        } else if (action === 'delete') {
+            if (confirm('Are you sure?')) deleteProfile(profileId);
+        } else {
+            switchProfile(profileId);
+            pendingGameMode = null;
+        }
+        renderSaveSlots();
+    });
+
+    document.getElementById('save-slot-new')?.addEventListener('click', () => {
+        const profile = createProfile();
+        switchProfile(profile.id);
+        pendingGameMode = null;
+        renderSaveSlots();
+    });
+
+    renderSaveSlots();
+
     // Load saved settings
     const savedSettings = localStorage.getItem('idleDungeonSettings');
     if (savedSettings) {
@@ -9326,7 +12477,7 @@ function initIntroScreen() {
         if (showDamageEl) showDamageEl.checked = settings.showDamage;
 
         if (resetSave) {
-            localStorage.removeItem('idleDungeonSave');
+            localStorage.removeItem(activeSaveKey);
         }
 
         // Hide intro, show game
@@ -9352,8 +12503,8 @@ function initIntroScreen() {
     }
     if (newGameBtn) {
         newGameBtn.addEventListener('click', () => {
-            if (savedData) {
-                if (confirm('Start a new game? Your existing save will be erased.')) {
+            if (localStorage.getItem(activeSaveKey)) {
+                if (confirm('Start a new game? This save slot will be erased.')) {
                     startGame(true);
                 }
             } else {
@@ -9363,4 +12514,56 @@ function initIntroScreen() {
     }
 }
 
-document.addEventListener('DOMContentLoaded', initIntroScreen);
+// ==========================================
+// HEADLESS SIMULATION
+// ==========================================
+
+/**
+ * Plays one run to the end on fixed time steps with no rendering, for balance testing.
+ * Saved progress (souls, relics, pet XP, stats...) is restored afterwards, so every
+ * run starts from the same save.
+ * @param {Object} [options]
+ * @param {string} [options.className='warrior'] - Class to play
+ * @param {Object} [options.upgrades={}] - Upgrade levels by UPGRADE_CONFIG key
+ * @param {number} [options.seed] - Gameplay seed (fresh entropy if omitted)
+ * @param {number} [options.dt=0.05] - Game seconds per update step
+ * @param {number} [options.maxSeconds=3600] - Game time cap before the run is cut off
+ * @returns {{floor: number, level: number, kills: number, seconds: number, souls: number, died: boolean, killedBy: string|null}}
+ */
+function simulateRun({ className = 'warrior', upgrades = {}, seed, dt = 0.05, maxSeconds = 3600 } = {}) {
+    const saved = JSON.stringify(Object.keys(SAVE_SCHEMA).reduce((data, key) => ({ ...data, [key]: gameState[key] }), {}));
+
+    gameState.selectedClass = className;
+    gameState.selectedGameMode = 'normal';
+    gameState.upgrades = { ...gameState.upgrades, ...upgrades };
+    gameState.settings.autoLoot = true;
+    gameState.settings.autoSkills = true;
+    gameState.settings.autoDodge = true;
+
+    startNewRun(seed === undefined ? undefined : seed >>> 0);
+
+    const soulsBefore = gameState.stats.soulsEarned || 0;
+    let seconds = 0;
+    while (gameState.gameRunning && seconds < maxSeconds) {
+        update(dt);
+        seconds += dt;
+    }
+
+    const died = !gameState.gameRunning;
+    if (!died) endRun('Simulation cut off');
+    const r = gameState.run;
+    const result = {
+        floor: r.floor,
+        level: r.level,
+        kills: r.killsThisRun || 0,
+        seconds: Math.round(seconds),
+        souls: (gameState.stats.soulsEarned || 0) - soulsBefore,
+        died,
+        killedBy: r.killedBy ? getKillerText(r.killedBy) : null
+    };
+
+    Object.assign(gameState, JSON.parse(saved));
+    return result;
+}
+
+if (!HEADLESS) document.addEventListener('DOMContentLoaded', initIntroScreen);
@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+// Pathfinding micro-benchmark on a 50x50 cave: the old sort-based A* against the
+// binary-heap A*, and per-monster A* chasing against the shared player flow field.
+//
+//   node tools/bench-pathfinding.js [--queries 300] [--monsters 30] [--ticks 200] [--seed 1]
+
+const { loadGame } = require('./headless');
+
+// The findPath this replaced, kept here as the baseline (evaluated inside the game context)
+function legacyFindPath(sx, sy, ex, ey) {
+    const open = [{ x: sx, y: sy, g: 0, f: heuristic(sx, sy, ex, ey) }];
+    const closed = new Set();
+    const cameFrom = new Map();
+    const gScore = new Map();
+    gScore.set(`${sx},${sy}`, 0);
+
+    while (open.length) {
+        open.sort((a, b) => a.f - b.f);
+        const curr = open.shift();
+        const key = `${curr.x},${curr.y}`;
+
+        if (curr.x === ex && curr.y === ey) {
+            const path = [];
+            let k = `${ex},${ey}`;
+            while (cameFrom.has(k)) {
+                const [px, py] = k.split(',').map(Number);
+                path.unshift({ x: px, y: py });
+                k = cameFrom.get(k);
+            }
+            return path;
+        }
+
+        closed.add(key);
+        const neighbors = [{ x: curr.x + 1, y: curr.y }, { x: curr.x - 1, y: curr.y }, { x: curr.x, y: curr.y + 1 }, { x: curr.x, y: curr.y - 1 }];
+
+        for (const n of neighbors) {
+            const nk = `${n.x},${n.y}`;
+            if (n.x < 0 || n.x >= GRID_WIDTH || n.y < 0 || n.y >= GRID_HEIGHT) continue;
+            if (gameState.grid[n.y][n.x] === TILE.WALL) continue;
+            if (closed.has(nk)) continue;
+
+            const tg = gScore.get(key) + 1;
+            if (!gScore.has(nk) || tg < gScore.get(nk)) {
+                cameFrom.set(nk, key);
+                gScore.set(nk, tg);
+                const f = tg + heuristic(n.x, n.y, ex, ey);
+                if (!open.find(o => o.x === n.x && o.y === n.y)) {
+                    open.push({ x: n.x, y: n.y, g: tg, f });
+                }
+            }
+        }
+    }
+    return [];
+}
+
+function parseArgs(argv) {
+    const args = { queries: 300, monsters: 30, ticks: 200, seed: 1 };
+    for (let i = 0; i < argv.length; i += 2) {
+        const key = argv[i].replace(/^--/, '');
+        if (!(key in args)) {
+            console.error(`Unknown option: ${argv[i]}`);
+            process.exit(1);
+        }
+        args[key] = parseInt(argv[i + 1], 10);
+    }
+    return args;
+}
+
+function time(fn) {
+    const start = process.hrtime.bigint();
+    const result = fn();
+    return { ms: Number(process.hrtime.bigint() - start) / 1e6, result };
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const game = loadGame();
+    game.run(legacyFindPath.toString());
+    game.run(`
+        RNG.gameplay = createRng(${args.seed});
+        GRID_WIDTH = GRID_HEIGHT = 50;
+        gameState.grid = generateIrregularCave(50, 50, 40);
+        var benchFloor = [];
+        for (let y = 0; y < 50; y++) for (let x = 0; x < 50; x++) if (gameState.grid[y][x] !== TILE.WALL) benchFloor.push({ x, y });
+        var benchPick = () => benchFloor[Math.floor(gameRandom() * benchFloor.length)];
+    `);
+    console.log(`50x50 cave, ${game.run('benchFloor.length')} walkable tiles, seed ${args.seed}\n`);
+
+    // Point-to-point queries; the tick advances before each so the new path cache never hits
+    game.run(`var benchPairs = Array.from({ length: ${args.queries} }, () => [benchPick(), benchPick()]);`);
+    // Warm up both implementations so the JIT doesn't favour whichever runs second
+    game.run('benchPairs.slice(0, 50).forEach(([a, b]) => { legacyFindPath(a.x, a.y, b.x, b.y); advancePathfindingTick(); findPath(a.x, a.y, b.x, b.y); })');
+    const legacy = time(() => game.run('benchPairs.map(([a, b]) => legacyFindPath(a.x, a.y, b.x, b.y).length)'));
+    const heap = time(() => game.run('benchPairs.map(([a, b]) => { advancePathfindingTick(); return findPath(a.x, a.y, b.x, b.y).length; })'));
+    const mismatches = legacy.result.filter((len, i) => len !== heap.result[i]).length;
+    console.log(`A* x${args.queries} queries`);
+    console.log(`  sorted-array A*   ${legacy.ms.toFixed(1).padStart(9)} ms`);
+    console.log(`  binary-heap A*    ${heap.ms.toFixed(1).padStart(9)} ms   ${(legacy.ms / heap.ms).toFixed(1)}x faster`);
+    console.log(`  path length mismatches: ${mismatches}\n`);
+
+    // Chasing: every monster steps toward a player who wanders one tile per tick
+    const chase = stepper => game.run(`(() => {
+        RNG.gameplay = createRng(${args.seed + 1});
+        gameState.player = { ...benchPick() };
+        const monsters = Array.from({ length: ${args.monsters} }, () => ({ ...benchPick() }));
+        let moved = 0;
+        for (let t = 0; t < ${args.ticks}; t++) {
+            advancePathfindingTick();
+            const { x, y } = gameState.player;
+            const next = [[x + 1, y], [x - 1, y], [x, y + 1], [x, y - 1]][Math.floor(gameRandom() * 4)];
+            if (gameState.grid[next[1]]?.[next[0]] !== undefined && gameState.grid[next[1]][next[0]] !== TILE.WALL) {
+                gameState.player = { x: next[0], y: next[1] };
+            }
+            monsters.forEach(m => {
+                const step = (${stepper})(m);
+                if (step) { m.x = step.x; m.y = step.y; moved++; }
+            });
+        }
+        return moved;
+    })()`);
+    const perMonster = time(() => chase('m => legacyFindPath(m.x, m.y, gameState.player.x, gameState.player.y)[0]'));
+    const flowField = time(() => chase('m => getStepTowardPlayer(m.x, m.y)'));
+    console.log(`Chase: ${args.monsters} monsters x ${args.ticks} ticks`);
+    console.log(`  A* per monster    ${perMonster.ms.toFixed(1).padStart(9)} ms   (${perMonster.result} moves)`);
+    console.log(`  shared flow field ${flowField.ms.toFixed(1).padStart(9)} ms   (${flowField.result} moves)   ${(perMonster.ms / flowField.ms).toFixed(1)}x faster`);
+}
+
+main();
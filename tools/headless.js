@@ -0,0 +1,19 @@
+// Loads game.js into a fresh Node vm context. With no `document` in the context the game
+// runs in HEADLESS mode: the simulation works, rendering/audio/saving are skipped.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const GAME_SOURCE = path.join(__dirname, '..', 'game.js');
+
+/**
+ * @returns {{context: object, run: function(string): *}} The vm context and an evaluator for it
+ */
+function loadGame() {
+    const context = vm.createContext({ console });
+    vm.runInContext(fs.readFileSync(GAME_SOURCE, 'utf8'), context, { filename: 'game.js' });
+    return { context, run: code => vm.runInContext(code, context) };
+}
+
+module.exports = { loadGame };
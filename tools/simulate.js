@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+// Headless balance simulator: loads game.js without a browser and plays many runs.
+//
+//   node tools/simulate.js --class mage --runs 500 --upgrades attack=10,maxHp=5
+//   node tools/simulate.js --set CONFIG.ELITE_SPAWN_CHANCE=0.2 --set UPGRADE_CONFIG.attack.value=3
+//
+// Options:
+//   --class <id>          Class to play (default warrior)
+//   --runs <n>            Number of runs (default 200)
+//   --upgrades k=v,...    Upgrade levels by UPGRADE_CONFIG key
+//   --set PATH=value      Override a numeric CONFIG / UPGRADE_CONFIG value (repeatable).
+//                         Applied after game.js loads, so constants copied from CONFIG at
+//                         load time (MIN_GRID_SIZE, MAX_GRID_SIZE) keep their defaults.
+//   --seed <n>            Base seed; run i uses seed + i (default: random)
+//   --dt <seconds>        Game seconds per update step (default 0.05)
+//   --max-minutes <n>     Game-time cap per run (default 60)
+//   --json                Print the raw per-run results as JSON
+
+const { loadGame } = require('./headless');
+
+function parseArgs(argv) {
+    const args = { className: 'warrior', runs: 200, upgrades: {}, overrides: [], seed: null, dt: 0.05, maxMinutes: 60, json: false };
+    for (let i = 0; i < argv.length; i++) {
+        const flag = argv[i];
+        const next = () => argv[++i];
+        switch (flag) {
+            case '--class': args.className = next(); break;
+            case '--runs': args.runs = parseInt(next(), 10); break;
+            case '--upgrades':
+                next().split(',').filter(Boolean).forEach(pair => {
+                    const [key, level] = pair.split('=');
+                    args.upgrades[key] = parseInt(level, 10);
+                });
+                break;
+            case '--set': args.overrides.push(next()); break;
+            case '--seed': args.seed = parseInt(next(), 10); break;
+            case '--dt': args.dt = parseFloat(next()); break;
+            case '--max-minutes': args.maxMinutes = parseFloat(next()); break;
+            case '--json': args.json = true; break;
+            default:
+                console.error(`Unknown option: ${flag}`);
+                process.exit(1);
+        }
+    }
+    return args;
+}
+
+function applyOverride(game, assignment) {
+    const [target, value] = assignment.split('=');
+    const keys = target.split('.');
+    const root = keys.shift();
+    if (root !== 'CONFIG' && root !== 'UPGRADE_CONFIG') {
+        throw new Error(`--set only supports CONFIG and UPGRADE_CONFIG, got ${root}`);
+    }
+    let obj = game.run(root);
+    keys.slice(0, -1).forEach(key => { obj = obj[key]; });
+    const last = keys[keys.length - 1];
+    if (!obj || typeof obj[last] !== 'number') throw new Error(`${target} is not a numeric setting`);
+    obj[last] = parseFloat(value);
+}
+
+function percentile(sorted, p) {
+    if (sorted.length === 0) return 0;
+    return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+}
+
+function report(args, results) {
+    const floors = results.map(r => r.floor).sort((a, b) => a - b);
+    const deaths = results.filter(r => r.died);
+    const deathMinutes = deaths.map(r => r.seconds / 60).sort((a, b) => a - b);
+    const totalHours = results.reduce((sum, r) => sum + r.seconds, 0) / 3600;
+    const totalSouls = results.reduce((sum, r) => sum + r.souls, 0);
+    const upgrades = Object.entries(args.upgrades).map(([k, v]) => `${k}=${v}`).join(', ') || 'none';
+
+    console.log(`Class: ${args.className}   Upgrades: ${upgrades}   Runs: ${results.length}`);
+    console.log(`Deaths: ${deaths.length}   Cut off at ${args.maxMinutes} min: ${results.length - deaths.length}`);
+    console.log('');
+    console.log(`Floor reached   p10 ${percentile(floors, 0.1)}   p50 ${percentile(floors, 0.5)}   p90 ${percentile(floors, 0.9)}   max ${floors[floors.length - 1]}`);
+    if (deathMinutes.length > 0) {
+        const fmt = m => `${m.toFixed(1)}m`;
+        console.log(`Time to death   p10 ${fmt(percentile(deathMinutes, 0.1))}   p50 ${fmt(percentile(deathMinutes, 0.5))}   p90 ${fmt(percentile(deathMinutes, 0.9))}`);
+    }
+    console.log(`Souls/hour      ${totalHours > 0 ? Math.round(totalSouls / totalHours) : 0}   (avg ${Math.round(totalSouls / results.length)} per run)`);
+    console.log('');
+
+    // Floor histogram in buckets of 5
+    const buckets = {};
+    floors.forEach(f => {
+        const start = Math.floor((f - 1) / 5) * 5 + 1;
+        buckets[start] = (buckets[start] || 0) + 1;
+    });
+    const widest = Math.max(...Object.values(buckets));
+    console.log('Floor distribution');
+    Object.keys(buckets).map(Number).sort((a, b) => a - b).forEach(start => {
+        const count = buckets[start];
+        const bar = '#'.repeat(Math.max(1, Math.round(count / widest * 40)));
+        console.log(`  ${String(start).padStart(3)}-${String(start + 4).padEnd(3)} ${String(count).padStart(5)}  ${bar}`);
+    });
+
+    const killers = {};
+    deaths.forEach(r => {
+        const killer = r.killedBy || 'Unknown';
+        killers[killer] = (killers[killer] || 0) + 1;
+    });
+    if (deaths.length > 0) {
+        console.log('');
+        console.log('Most deaths to');
+        Object.entries(killers).sort((a, b) => b[1] - a[1]).slice(0, 5).forEach(([killer, count]) => {
+            console.log(`  ${String(count).padStart(5)}  ${killer}`);
+        });
+    }
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const game = loadGame();
+    try {
+        args.overrides.forEach(o => applyOverride(game, o));
+    } catch (e) {
+        console.error(e.message);
+        process.exit(1);
+    }
+
+    if (!game.run(`!!CLASSES[${JSON.stringify(args.className)}]`)) {
+        console.error(`Unknown class: ${args.className}`);
+        process.exit(1);
+    }
+
+    const results = [];
+    for (let i = 0; i < args.runs; i++) {
+        const options = {
+            className: args.className,
+            upgrades: args.upgrades,
+            dt: args.dt,
+            maxSeconds: args.maxMinutes * 60
+        };
+        if (args.seed !== null) options.seed = args.seed + i;
+        results.push(game.run(`simulateRun(${JSON.stringify(options)})`));
+        if (!args.json && process.stderr.isTTY) process.stderr.write(`\r${i + 1}/${args.runs}`);
+    }
+    if (!args.json && process.stderr.isTTY) process.stderr.write('\n');
+
+    if (args.json) console.log(JSON.stringify(results, null, 2));
+    else report(args, results);
+}
+
+main();